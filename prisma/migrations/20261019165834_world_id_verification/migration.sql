@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "verificationLevel" TEXT,
+ADD COLUMN     "worldIdVerifiedAt" TIMESTAMP(3),
+ALTER COLUMN "email" DROP NOT NULL,
+ALTER COLUMN "password" DROP NOT NULL;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "avatarKey" TEXT,
+ADD COLUMN     "bio" TEXT,
+ADD COLUMN     "displayName" TEXT,
+ADD COLUMN     "links" TEXT[],
+ADD COLUMN     "usernameChangedAt" TIMESTAMP(3);
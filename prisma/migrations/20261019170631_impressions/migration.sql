@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "impressionCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "ImpressionLog" (
+    "userId" TEXT NOT NULL,
+    "seen" JSONB NOT NULL DEFAULT '{}',
+    "version" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ImpressionLog_pkey" PRIMARY KEY ("userId")
+);
+
+-- AddForeignKey
+ALTER TABLE "ImpressionLog" ADD CONSTRAINT "ImpressionLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
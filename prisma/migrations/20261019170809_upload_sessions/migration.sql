@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "UploadStatus" AS ENUM ('ACTIVE', 'FINALIZING', 'COMPLETED', 'FAILED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "UploadSession" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "receivedBytes" INTEGER NOT NULL DEFAULT 0,
+    "status" "UploadStatus" NOT NULL DEFAULT 'ACTIVE',
+    "videoId" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UploadSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UploadSession_userId_idx" ON "UploadSession"("userId");
+
+-- CreateIndex
+CREATE INDEX "UploadSession_status_expiresAt_idx" ON "UploadSession"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "UploadSession" ADD CONSTRAINT "UploadSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "VideoStatus" AS ENUM ('QUEUED', 'PROCESSING', 'READY', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "JobStatus" AS ENUM ('QUEUED', 'RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "processedAt" TIMESTAMP(3),
+ADD COLUMN     "processingError" TEXT,
+ADD COLUMN     "sourceKey" TEXT,
+ADD COLUMN     "status" "VideoStatus" NOT NULL DEFAULT 'READY';
+
+-- CreateTable
+CREATE TABLE "ProcessingJob" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "status" "JobStatus" NOT NULL DEFAULT 'QUEUED',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedAt" TIMESTAMP(3),
+    "lockedBy" TEXT,
+    "lastError" TEXT,
+    "finishedAt" TIMESTAMP(3),
+    "notifiedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProcessingJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProcessingJob_status_runAt_idx" ON "ProcessingJob"("status", "runAt");
+
+-- CreateIndex
+CREATE INDEX "ProcessingJob_notifiedAt_status_idx" ON "ProcessingJob"("notifiedAt", "status");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "hlsKey" TEXT;
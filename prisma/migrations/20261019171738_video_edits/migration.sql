@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN     "description" TEXT,
+ADD COLUMN     "title" TEXT;
+
+-- CreateTable
+CREATE TABLE "VideoEdit" (
+    "id" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "changes" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "VideoEdit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "VideoEdit_videoId_createdAt_idx" ON "VideoEdit"("videoId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "VideoEdit" ADD CONSTRAINT "VideoEdit_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VideoEdit" ADD CONSTRAINT "VideoEdit_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
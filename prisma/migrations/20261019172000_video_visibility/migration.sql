@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "Visibility" AS ENUM ('PUBLIC', 'UNLISTED', 'PRIVATE', 'FOLLOWERS');
+
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "visibility" "Visibility" NOT NULL DEFAULT 'PUBLIC';
+
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN     "visibility" "Visibility" NOT NULL DEFAULT 'PUBLIC';
+
+-- CreateIndex
+CREATE INDEX "Video_status_visibility_createdAt_idx" ON "Video"("status", "visibility", "createdAt");
@@ -0,0 +1,23 @@
+-- CreateEnum
+CREATE TYPE "PublishStatus" AS ENUM ('DRAFT', 'SCHEDULED', 'PUBLISHED');
+
+-- DropIndex
+DROP INDEX "Video_status_visibility_createdAt_idx";
+
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "publishAt" TIMESTAMP(3),
+ADD COLUMN     "publishStatus" "PublishStatus" NOT NULL DEFAULT 'PUBLISHED',
+ADD COLUMN     "publishedAt" TIMESTAMP(3);
+
+-- Backfill: feeds order by publishedAt, existing videos take their upload time
+UPDATE "Video" SET "publishedAt" = "createdAt" WHERE "publishStatus" = 'PUBLISHED' AND "publishedAt" IS NULL;
+
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN     "draft" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "publishAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Video_status_visibility_publishedAt_idx" ON "Video"("status", "visibility", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "Video_publishStatus_publishAt_idx" ON "Video"("publishStatus", "publishAt");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "coverCandidate" INTEGER,
+ADD COLUMN     "posterUrl" TEXT,
+ADD COLUMN     "thumbnailCandidates" TEXT[];
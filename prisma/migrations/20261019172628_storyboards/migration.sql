@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "previewKey" TEXT,
+ADD COLUMN     "storyboardKey" TEXT;
@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "CaptionSource" AS ENUM ('UPLOADED', 'AUTO');
+
+-- CreateTable
+CREATE TABLE "CaptionTrack" (
+    "id" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "language" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "source" "CaptionSource" NOT NULL DEFAULT 'UPLOADED',
+    "key" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CaptionTrack_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CaptionTrack_videoId_language_key" ON "CaptionTrack"("videoId", "language");
+
+-- AddForeignKey
+ALTER TABLE "CaptionTrack" ADD CONSTRAINT "CaptionTrack_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "trimEnd" DOUBLE PRECISION,
+ADD COLUMN     "trimStart" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN     "trimEnd" DOUBLE PRECISION,
+ADD COLUMN     "trimStart" DOUBLE PRECISION;
@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "DuplicateStatus" AS ENUM ('PENDING', 'CONFIRMED', 'DISMISSED');
+
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "fingerprintBands" TEXT[],
+ADD COLUMN     "frameHashes" TEXT[],
+ADD COLUMN     "sourceHash" TEXT;
+
+-- CreateTable
+CREATE TABLE "DuplicateMatch" (
+    "id" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "originalId" TEXT NOT NULL,
+    "exact" BOOLEAN NOT NULL,
+    "similarity" DOUBLE PRECISION NOT NULL,
+    "status" "DuplicateStatus" NOT NULL DEFAULT 'PENDING',
+    "note" TEXT,
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DuplicateMatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DuplicateMatch_status_createdAt_idx" ON "DuplicateMatch"("status", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DuplicateMatch_videoId_originalId_key" ON "DuplicateMatch"("videoId", "originalId");
+
+-- CreateIndex
+CREATE INDEX "Video_sourceHash_idx" ON "Video"("sourceHash");
+
+-- CreateIndex
+CREATE INDEX "Video_fingerprintBands_idx" ON "Video" USING GIN ("fingerprintBands");
+
+-- AddForeignKey
+ALTER TABLE "DuplicateMatch" ADD CONSTRAINT "DuplicateMatch_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DuplicateMatch" ADD CONSTRAINT "DuplicateMatch_originalId_fkey" FOREIGN KEY ("originalId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DuplicateMatch" ADD CONSTRAINT "DuplicateMatch_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "audioKey" TEXT,
+ADD COLUMN     "audioNormalized" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "loudnessLufs" DOUBLE PRECISION,
+ADD COLUMN     "loudnessRange" DOUBLE PRECISION,
+ADD COLUMN     "normalizeAudio" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "truePeakDb" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN     "normalizeAudio" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "rotatedRefreshTokenHashes" TEXT[];
+
+-- Backfill: carry over the one rotated-out secret sessions kept so far
+UPDATE "Session" SET "rotatedRefreshTokenHashes" = CASE
+  WHEN "previousRefreshTokenHash" IS NULL THEN ARRAY[]::TEXT[]
+  ELSE ARRAY["previousRefreshTokenHash"]
+END;
+
+-- AlterTable
+ALTER TABLE "Session" DROP COLUMN "previousRefreshTokenHash";
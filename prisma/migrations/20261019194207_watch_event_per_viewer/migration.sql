@@ -0,0 +1,28 @@
+-- DropIndex
+DROP INDEX "WatchEvent_userId_createdAt_idx";
+
+-- AlterTable
+ALTER TABLE "WatchEvent" ADD COLUMN     "updatedAt" TIMESTAMP(3);
+
+-- Backfill: the last report of each viewer and video becomes its updatedAt
+UPDATE "WatchEvent" AS w SET "updatedAt" = latest."watchedAt"
+FROM (
+  SELECT "userId", "videoId", MAX("createdAt") AS "watchedAt"
+  FROM "WatchEvent"
+  GROUP BY "userId", "videoId"
+) AS latest
+WHERE w."userId" = latest."userId" AND w."videoId" = latest."videoId";
+
+-- Backfill: keep only the furthest watch of each viewer and video
+DELETE FROM "WatchEvent" AS w USING "WatchEvent" AS other
+WHERE w."userId" = other."userId" AND w."videoId" = other."videoId"
+  AND (w."seconds" < other."seconds" OR (w."seconds" = other."seconds" AND w."id" < other."id"));
+
+-- AlterTable
+ALTER TABLE "WatchEvent" ALTER COLUMN "updatedAt" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "WatchEvent_userId_updatedAt_idx" ON "WatchEvent"("userId", "updatedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WatchEvent_userId_videoId_key" ON "WatchEvent"("userId", "videoId");
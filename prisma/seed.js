@@ -37,9 +37,8 @@ async function main() {
           isInfluencer: true,
           tokenBalance: 1000,
           totalEarnings: 5000,
-          followers: 1500,
-          following: 500,
           worldId: randomUUID(),
+          worldIdVerifiedAt: new Date(),
         },
       }),
       tx.user.create({
@@ -51,9 +50,8 @@ async function main() {
           isInfluencer: true,
           tokenBalance: 800,
           totalEarnings: 3000,
-          followers: 1200,
-          following: 300,
           worldId: randomUUID(),
+          worldIdVerifiedAt: new Date(),
         },
       }),
       tx.user.create({
@@ -65,9 +63,8 @@ async function main() {
           isInfluencer: false,
           tokenBalance: 500,
           totalEarnings: 1000,
-          followers: 800,
-          following: 200,
           worldId: randomUUID(),
+          worldIdVerifiedAt: new Date(),
         },
       }),
     ])
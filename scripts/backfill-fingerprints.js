@@ -0,0 +1,64 @@
+const { PrismaClient } = require('@prisma/client');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const logger = require('../src/utils/logger');
+const storageClient = require('../src/configs/storage');
+const config = require('../src/configs/video-service-config');
+const fingerprintService = require('../src/services/fingerprintService');
+
+const prisma = new PrismaClient();
+
+// Fingerprints ready videos that predate duplicate detection, so re-uploads
+// of them are caught too. Originals of trimmed videos are gone, so their
+// SHA-256 is taken from the published file instead.
+async function backfillFingerprints() {
+  try {
+    const videos = await prisma.video.findMany({
+      where: {
+        status: 'READY',
+        sourceHash: null
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    logger.info(`Found ${videos.length} videos without fingerprints`);
+
+    for (const video of videos) {
+      // Create temporary directory for processing
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fingerprint-'));
+
+      try {
+        const videoKey = video.url.replace(`${config.bucketName}/`, '');
+        const tempVideoPath = path.join(tempDir, 'temp-video.mp4');
+        await storageClient.downloadFile(config.bucketName, videoKey, tempVideoPath);
+
+        const fingerprint = await fingerprintService.fingerprint(
+          tempVideoPath,
+          tempVideoPath,
+          path.join(tempDir, 'frames')
+        );
+
+        await prisma.video.update({
+          where: { id: video.id },
+          data: fingerprint
+        });
+        logger.info(`Fingerprinted video ${video.id}`);
+      } catch (error) {
+        logger.error(`Error processing video ${video.id}:`, error);
+        // Continue with next video even if this one fails
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+
+    logger.info('Fingerprint backfill completed');
+  } catch (error) {
+    logger.error('Error in backfillFingerprints:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run the script
+backfillFingerprints();
@@ -0,0 +1,27 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../src/utils/logger');
+
+const prisma = new PrismaClient();
+
+// Feeds are ordered by publishedAt; videos published before the column
+// existed take their upload time. The migration adding the column already
+// does this, so this only repairs rows written without it.
+async function backfillPublishedAt() {
+  try {
+    logger.info('Backfilling publishedAt...');
+
+    const updated = await prisma.$executeRaw`
+      UPDATE "Video" SET "publishedAt" = "createdAt"
+      WHERE "publishStatus" = 'PUBLISHED' AND "publishedAt" IS NULL
+    `;
+
+    logger.info(`Backfilled publishedAt for ${updated} videos`);
+  } catch (error) {
+    logger.error('Error backfilling publishedAt:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+backfillPublishedAt();
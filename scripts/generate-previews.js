@@ -0,0 +1,62 @@
+const { PrismaClient } = require('@prisma/client');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const logger = require('../src/utils/logger');
+const storageClient = require('../src/configs/storage');
+const config = require('../src/configs/video-service-config');
+const previewService = require('../src/services/previewService');
+
+const prisma = new PrismaClient();
+
+// Generates the storyboard and animated preview for ready videos that
+// predate them. Safe to re-run, finished videos are skipped.
+async function generatePreviews() {
+  try {
+    const videos = await prisma.video.findMany({
+      where: {
+        status: 'READY',
+        storyboardKey: null
+      }
+    });
+
+    logger.info(`Found ${videos.length} videos without previews`);
+
+    for (const video of videos) {
+      // Create temporary directory for processing
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+
+      try {
+        const videoKey = video.url.replace(`${config.bucketName}/`, '');
+        const tempVideoPath = path.join(tempDir, 'temp-video.mp4');
+        await storageClient.downloadFile(config.bucketName, videoKey, tempVideoPath);
+
+        const previews = await previewService.generate(
+          tempVideoPath,
+          path.dirname(videoKey),
+          path.join(tempDir, 'previews')
+        );
+
+        await prisma.video.update({
+          where: { id: video.id },
+          data: previews
+        });
+        logger.info(`Generated previews for video ${video.id}`);
+      } catch (error) {
+        logger.error(`Error processing video ${video.id}:`, error);
+        // Continue with next video even if this one fails
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    }
+
+    logger.info('Preview generation completed');
+  } catch (error) {
+    logger.error('Error in generatePreviews:', error);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run the script
+generatePreviews();
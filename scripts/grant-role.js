@@ -0,0 +1,37 @@
+const prisma = require('../src/configs/database');
+const roleService = require('../src/services/roleService');
+const logger = require('../src/utils/logger');
+
+// Usage: node scripts/grant-role.js <username> <role> [reason]
+// Bootstraps the first admin, who can then manage roles through /api/admin
+async function grantRole() {
+  const [username, role, reason = 'Granted from CLI'] = process.argv.slice(2);
+
+  try {
+    if (!username || !role) {
+      logger.info('Usage: node scripts/grant-role.js <username> <role> [reason]');
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { username }
+    });
+
+    if (!user) {
+      logger.error(`User ${username} not found`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await roleService.grantRole(user.id, role, { reason });
+    logger.info(`User ${username} is now ${result.user.role} (was ${result.grant.previousRole})`);
+  } catch (error) {
+    logger.error('Error granting role:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+grantRole();
@@ -0,0 +1,26 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../src/utils/logger');
+
+const prisma = new PrismaClient();
+
+// Resets every user's followers/following counters from the Follow relation
+async function recountFollows() {
+  try {
+    logger.info('Recounting follower counters...');
+
+    const updated = await prisma.$executeRaw`
+      UPDATE "User" u SET
+        "followers" = (SELECT COUNT(*) FROM "Follow" f WHERE f."followingId" = u."id"),
+        "following" = (SELECT COUNT(*) FROM "Follow" f WHERE f."followerId" = u."id")
+    `;
+
+    logger.info(`Recounted follower counters for ${updated} users`);
+  } catch (error) {
+    logger.error('Error recounting follows:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+recountFollows();
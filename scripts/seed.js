@@ -14,7 +14,8 @@ async function seed() {
         password: 'testpassword123', // This should be hashed in a real app
         avatar: 'https://api.dicebear.com/7.x/avataaars/svg?seed=testuser',
         tokenBalance: 0,
-        worldId: 'mock-world-id'
+        worldId: 'mock-world-id',
+        worldIdVerifiedAt: new Date()
       }
     });
 
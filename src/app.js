@@ -9,13 +9,20 @@ const specs = require('./configs/swagger');
 const logger = require('./utils/logger');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const { authenticateToken } = require('./middleware/auth');
+const sessionService = require('./services/sessionService');
 const multer = require('multer');
 const path = require('path');
 const os = require('os');
 const morgan = require('morgan');
 const { errorHandler } = require('./middleware/errorHandler');
 const { rateLimitConfig } = require('./configs/rateLimit');
+const authConfig = require('./configs/auth-config');
+const uploadSessionService = require('./services/uploadSessionService');
+const walletService = require('./services/walletService');
+const publishingService = require('./services/publishingService');
+const visibilityService = require('./services/visibilityService');
+const jobQueue = require('./services/jobQueue');
+const queueConfig = require('./configs/queue-config');
 
 // Initialize Express app
 const app = express();
@@ -78,8 +85,12 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Accept', 'Origin', 'X-Requested-With', 'Content-Length', 'Content-Range'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-API-Key', 'Accept', 'Origin', 'X-Requested-With', 'Content-Length', 'Content-Range',
+    'Upload-Offset', 'Upload-Length', 'Upload-Checksum',
+    ...(authConfig.devAuth ? [authConfig.devAuthHeader] : [])
+  ],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Upload-Offset', 'Upload-Length', 'Location'],
   optionsSuccessStatus: 204,
   maxAge: 86400,
   preflightContinue: false
@@ -192,10 +203,14 @@ app.get('/health', (req, res) => {
 });
 
 // Routes
+app.use('/api/auth/wallet', require('./routes/wallet'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/content/uploads', require('./routes/uploads'));
 app.use('/api/content', require('./routes/content'));
 app.use('/api/tokens', require('./routes/tokens'));
 app.use('/api/gamification', require('./routes/gamification'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/admin', require('./routes/admin'));
 
 // WebSocket connection handling
 io.on('connection', (socket) => {
@@ -204,7 +219,7 @@ io.on('connection', (socket) => {
   // Authenticate socket connection
   socket.on('authenticate', async (token) => {
     try {
-      const user = await authenticateToken(token);
+      const { user } = await sessionService.verifyAccessToken(token);
       if (user) {
         socket.userId = user.id;
         socket.join(`user:${user.id}`);
@@ -217,11 +232,16 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Join video room
-  socket.on('joinVideo', (videoId) => {
-    if (socket.userId) {
+  // Join video room, only for videos the user may see
+  socket.on('joinVideo', async (videoId) => {
+    if (!socket.userId) return;
+
+    try {
+      await visibilityService.assertCanView(videoId, socket.userId);
       socket.join(`video:${videoId}`);
       logger.info(`User ${socket.userId} joined video ${videoId}`);
+    } catch (error) {
+      logger.warn(`User ${socket.userId} may not join video ${videoId}: ${error.message}`);
     }
   });
 
@@ -239,6 +259,24 @@ io.on('connection', (socket) => {
   });
 });
 
+// Tell uploaders and viewers when a video finished processing. Like the
+// status endpoint, only the uploader sees why processing failed.
+jobQueue.on('finished', (job) => {
+  if (job.type !== queueConfig.jobTypes.processVideo) return;
+
+  const { videoId, userId } = job.payload;
+  const event = {
+    videoId,
+    status: job.status === 'SUCCEEDED' ? 'READY' : 'FAILED',
+    error: null
+  };
+  io.to(`video:${videoId}`).except(`user:${userId}`).emit('videoProcessed', event);
+  io.to(`user:${userId}`).emit('videoProcessed', {
+    ...event,
+    error: job.status === 'SUCCEEDED' ? null : job.lastError
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error(err.stack);
@@ -256,17 +294,36 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-httpServer.listen(PORT, () => {
-  logger.info(`Server is running on port ${PORT}`);
-});
+// Start server unless the app is imported, e.g. by supertest
+if (require.main === module) {
+  if (authConfig.devAuth) {
+    logger.warn(`Dev-auth is enabled: requests may impersonate any user via the ${authConfig.devAuthHeader} header`);
+  }
 
-// Handle graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM received. Closing HTTP server...');
-  await prisma.$disconnect();
-  process.exit(0);
-});
+  const PORT = process.env.PORT || 3000;
+  httpServer.listen(PORT, () => {
+    logger.info(`Server is running on port ${PORT}`);
+  });
+
+  // Expire abandoned resumable uploads and free their staging files
+  uploadSessionService.startCleanupTimer();
+  // Delete used and expired SIWE nonces
+  walletService.startCleanupTimer();
+
+  // Without a separate worker deployment, process jobs and publish
+  // scheduled videos in this process
+  if (queueConfig.driver === 'local' || !queueConfig.separateWorker) {
+    jobQueue.startWorker();
+    publishingService.startScheduler();
+  }
+  jobQueue.startNotifier();
+
+  // Handle graceful shutdown
+  process.on('SIGTERM', async () => {
+    logger.info('SIGTERM received. Closing HTTP server...');
+    await prisma.$disconnect();
+    process.exit(0);
+  });
+}
 
 module.exports = { app, httpServer, upload }; 
\ No newline at end of file
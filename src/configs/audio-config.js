@@ -0,0 +1,13 @@
+const config = {
+  // EBU R128 targets for the loudnorm filter; -14 LUFS matches what the big
+  // streaming platforms normalize to
+  targetLufs: parseFloat(process.env.AUDIO_TARGET_LUFS) || -14,
+  truePeakDb: parseFloat(process.env.AUDIO_TRUE_PEAK_DB) || -1.5,
+  loudnessRange: 11,
+  sampleRate: 48000,
+  audioBitrate: '128k',
+  // Audio-only rendition, kept for sounds that can be reused in other videos
+  renditionFileName: 'audio.m4a'
+};
+
+module.exports = config;
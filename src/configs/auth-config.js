@@ -0,0 +1,30 @@
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+if (process.env.DEV_AUTH === 'true' && process.env.NODE_ENV === 'production') {
+  throw new Error('DEV_AUTH cannot be enabled in production');
+}
+
+const config = {
+  jwtSecret: process.env.JWT_SECRET || 'development-only-secret',
+  // Access tokens are short-lived; clients renew them with a refresh token
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  // Refresh tokens slide forward on every rotation
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  // Dev-auth lets local tooling and integration tests act as any seeded user
+  // by sending its id or username in the dev-auth header instead of a token
+  devAuth: process.env.DEV_AUTH === 'true',
+  devAuthHeader: 'x-dev-user',
+  // Sign-In With Ethereum (EIP-4361)
+  siweDomain: process.env.SIWE_DOMAIN || 'localhost:3000',
+  siweUri: process.env.SIWE_URI || process.env.API_URL || 'http://localhost:3000',
+  siweChainIds: (process.env.SIWE_CHAIN_IDS || '1,10,480,11155111')
+    .split(',')
+    .map(chainId => parseInt(chainId.trim())),
+  siweNonceTtlMinutes: parseInt(process.env.SIWE_NONCE_TTL_MINUTES) || 10,
+  // How often used and expired nonces are deleted
+  siweNonceCleanupIntervalMinutes: parseInt(process.env.SIWE_NONCE_CLEANUP_INTERVAL_MINUTES) || 15
+};
+
+module.exports = config;
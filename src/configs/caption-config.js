@@ -0,0 +1,19 @@
+const config = {
+  // Auto-caption provider run once a video is processed, 'none' disables
+  // auto-captions. Providers are registered in src/services/captionService.js
+  provider: process.env.CAPTION_PROVIDER || 'none',
+  // Language auto-captions are requested in; a track the creator uploaded
+  // for it is never overwritten
+  autoLanguage: process.env.CAPTION_AUTO_LANGUAGE || 'en',
+  maxFileSize: 512 * 1024, // 512KB
+  maxTracks: 20,
+  labelMaxLength: 50,
+  // BCP 47 tags such as en, pt-BR or zh-Hant
+  languagePattern: /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/,
+  formats: ['vtt', 'srt'],
+  // Subtitle playlists are served from this folder next to the renditions
+  hlsDir: 'subtitles',
+  hlsGroupId: 'subs'
+};
+
+module.exports = config;
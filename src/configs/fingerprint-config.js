@@ -0,0 +1,19 @@
+const config = {
+  // 'flag' publishes near-duplicates and queues them for moderator review,
+  // 'reject' fails their processing with a reference to the original
+  action: process.env.DUPLICATE_ACTION || 'flag',
+  // Frames are sampled at a fixed rate so clips cut from the same source line up
+  sampleFps: 1,
+  maxFrames: 180,
+  // Frames whose 64-bit difference hashes differ in at most this many bits match
+  frameDistance: 10,
+  // Share of the shorter video's frames that must match, at the best alignment
+  minSimilarity: parseFloat(process.env.DUPLICATE_MIN_SIMILARITY) || 0.8,
+  minMatchingFrames: 3,
+  // Nearly uniform frames (black, white, title cards) match everything
+  minFrameBits: 4,
+  candidateLimit: 50,
+  reviewPageSize: 20
+};
+
+module.exports = config;
@@ -0,0 +1,14 @@
+const config = {
+  // Rendition ladder, rungs taller than the source are skipped
+  ladder: [
+    { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 },
+    { name: '480p', height: 480, videoBitrate: 800, audioBitrate: 96 },
+    { name: '720p', height: 720, videoBitrate: 1500, audioBitrate: 128 }
+  ],
+  segmentSeconds: parseInt(process.env.HLS_SEGMENT_SECONDS) || 4,
+  masterPlaylist: 'master.m3u8',
+  renditionPlaylist: 'index.m3u8',
+  segmentPattern: /^segment_\d{3,}\.ts$/
+};
+
+module.exports = config;
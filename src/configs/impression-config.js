@@ -0,0 +1,9 @@
+const config = {
+  // Impressed videos are skipped by the feed for this long
+  retentionHours: parseInt(process.env.IMPRESSION_RETENTION_HOURS) || 72,
+  // Upper bound on entries kept per user, oldest are dropped first
+  maxEntriesPerUser: parseInt(process.env.IMPRESSION_MAX_ENTRIES) || 2000,
+  maxBatchSize: 100
+};
+
+module.exports = config;
@@ -0,0 +1,10 @@
+const config = {
+  titleMinLength: 3,
+  titleMaxLength: 100,
+  descriptionMaxLength: 500,
+  maxTags: parseInt(process.env.VIDEO_MAX_TAGS) || 10,
+  tagMaxLength: 30,
+  editHistoryLimit: 50
+};
+
+module.exports = config;
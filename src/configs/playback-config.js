@@ -0,0 +1,14 @@
+const authConfig = require('./auth-config');
+
+const isDeployed = process.env.NODE_ENV === 'production' || process.env.NODE_ENV === 'validation';
+
+const config = {
+  // 'presigned' hands out storage presigned GET URLs so bytes skip the API,
+  // 'signed' points at our own routes with an HMAC token (local development)
+  mode: process.env.PLAYBACK_URL_MODE || (isDeployed ? 'presigned' : 'signed'),
+  ttlSeconds: parseInt(process.env.PLAYBACK_URL_TTL_SECONDS) || 15 * 60,
+  signingSecret: process.env.PLAYBACK_SIGNING_SECRET || authConfig.jwtSecret,
+  getPublicBaseUrl: () => process.env.API_URL || 'http://localhost:3000'
+};
+
+module.exports = config;
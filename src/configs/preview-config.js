@@ -0,0 +1,23 @@
+const config = {
+  // Scrubbing storyboard: one tile per interval, stretched for long videos
+  // so no video produces more than maxFrames tiles
+  storyboard: {
+    intervalSeconds: parseFloat(process.env.STORYBOARD_INTERVAL_SECONDS) || 1,
+    maxFrames: 300,
+    tileWidth: 160,
+    columns: 10,
+    rows: 10,
+    index: 'storyboard.vtt',
+    spritePattern: /^sprite-\d{3}\.jpg$/
+  },
+  // Muted looping clip for grid views
+  animated: {
+    startFraction: 0.25,
+    durationSeconds: parseFloat(process.env.PREVIEW_DURATION_SECONDS) || 3,
+    width: 360,
+    fps: 15,
+    fileName: 'preview.mp4'
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,11 @@
+const config = {
+  usernameCooldownDays: parseInt(process.env.USERNAME_COOLDOWN_DAYS) || 30,
+  displayNameMaxLength: 50,
+  bioMaxLength: 160,
+  maxLinks: 5,
+  avatarSize: 256,
+  maxAvatarSize: 5 * 1024 * 1024, // 5MB
+  getPublicBaseUrl: () => process.env.API_URL || 'http://localhost:3000'
+};
+
+module.exports = config;
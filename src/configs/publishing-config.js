@@ -0,0 +1,8 @@
+const config = {
+  schedulerIntervalSeconds: parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_SECONDS) || 30,
+  maxScheduleDays: parseInt(process.env.PUBLISH_MAX_SCHEDULE_DAYS) || 90,
+  schedulerBatchSize: 100,
+  listLimit: 100
+};
+
+module.exports = config;
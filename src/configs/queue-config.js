@@ -0,0 +1,22 @@
+const config = {
+  // 'postgres' persists jobs for separate worker processes (src/worker.js),
+  // 'local' keeps them in memory and runs them inside the API process.
+  driver: process.env.JOB_QUEUE_DRIVER || 'postgres',
+  // Deployments that run src/worker.js next to the API (Procfile,
+  // k8s/video-processor.yaml) set this; otherwise the API runs jobs itself
+  separateWorker: process.env.JOB_QUEUE_SEPARATE_WORKER === 'true',
+  concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 1,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  // Retry delay doubles with every failed attempt, up to backoffMaxMs
+  backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS) || 30 * 1000,
+  backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX_MS) || 30 * 60 * 1000,
+  // Jobs running longer than this are assumed to belong to a dead worker and
+  // are picked up again, so keep it above the slowest processing time
+  lockTimeoutMinutes: parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 15,
+  jobTypes: {
+    processVideo: 'process-video'
+  }
+};
+
+module.exports = config;
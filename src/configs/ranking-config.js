@@ -0,0 +1,31 @@
+const weight = (name, fallback) => {
+  const value = parseFloat(process.env[`RANKING_WEIGHT_${name}`]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const config = {
+  // Relative importance of each signal in the "For You" score
+  weights: {
+    completion: weight('COMPLETION', 3),
+    likes: weight('LIKES', 1.5),
+    comments: weight('COMMENTS', 1),
+    tagAffinity: weight('TAG_AFFINITY', 2),
+    creatorAffinity: weight('CREATOR_AFFINITY', 2),
+    freshness: weight('FRESHNESS', 2.5)
+  },
+  candidatePoolSize: parseInt(process.env.RANKING_CANDIDATE_POOL_SIZE) || 200,
+  candidateWindowDays: parseInt(process.env.RANKING_CANDIDATE_WINDOW_DAYS) || 30,
+  // Videos watched within this window are left out of the ranked feed
+  seenWindowHours: parseInt(process.env.RANKING_SEEN_WINDOW_HOURS) || 72,
+  // How far back viewer likes, watches and follows shape their affinities
+  affinityWindowDays: parseInt(process.env.RANKING_AFFINITY_WINDOW_DAYS) || 30,
+  freshnessHalfLifeHours: parseInt(process.env.RANKING_FRESHNESS_HALF_LIFE_HOURS) || 48,
+  // Count at which likes/comments score 0.5, higher counts saturate toward 1
+  likesHalfSaturation: 20,
+  commentsHalfSaturation: 5,
+  // Bayesian prior so a single full watch does not max out completion
+  completionPrior: 0.3,
+  completionPriorWeight: 5
+};
+
+module.exports = config;
@@ -9,6 +9,14 @@ const rateLimitConfig = {
   }
 };
 
+// Every SIWE nonce request stores a row and needs no account, so each IP
+// gets far fewer of them than of other requests
+const nonceRateLimitConfig = {
+  ...rateLimitConfig,
+  max: parseInt(process.env.SIWE_NONCE_RATE_LIMIT) || 30
+};
+
 module.exports = {
-  rateLimitConfig
+  rateLimitConfig,
+  nonceRateLimitConfig
 }; 
\ No newline at end of file
@@ -0,0 +1,12 @@
+const config = {
+  roles: ['USER', 'CREATOR', 'MODERATOR', 'ADMIN'],
+  // Influencer status is derived from these criteria and cached on the user row
+  influencer: {
+    minVideos: parseInt(process.env.INFLUENCER_MIN_VIDEOS) || 10,
+    minFollowers: parseInt(process.env.INFLUENCER_MIN_FOLLOWERS) || 0,
+    minTotalViews: parseInt(process.env.INFLUENCER_MIN_TOTAL_VIEWS) || 0,
+    cacheTtlMinutes: parseInt(process.env.INFLUENCER_CACHE_TTL_MINUTES) || 60
+  }
+};
+
+module.exports = config;
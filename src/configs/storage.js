@@ -1,5 +1,8 @@
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, DeleteObjectsCommand, HeadObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { Client: MinioClient } = require('minio');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
 const logger = require('../utils/logger');
 const config = require('./video-service-config');
 
@@ -47,15 +50,19 @@ class StorageAdapter {
     }
   }
 
-  async getFile(bucketName, objectName) {
+  // Optional range is inclusive, { start, end } as in a Range header
+  async getFile(bucketName, objectName, range) {
     try {
       if (this.isS3) {
         const command = new GetObjectCommand({
           Bucket: bucketName,
           Key: objectName,
+          ...(range && { Range: `bytes=${range.start}-${range.end}` }),
         });
         const response = await this.client.send(command);
         return response.Body;
+      } else if (range) {
+        return await this.client.getPartialObject(bucketName, objectName, range.start, range.end - range.start + 1);
       } else {
         return await this.client.getObject(bucketName, objectName);
       }
@@ -65,6 +72,88 @@ class StorageAdapter {
     }
   }
 
+  // Streams an object to disk without buffering it in memory
+  async downloadFile(bucketName, objectName, filePath) {
+    try {
+      const stream = await this.getFile(bucketName, objectName);
+      await pipeline(stream, fs.createWriteStream(filePath));
+    } catch (error) {
+      logger.error(`Error downloading file: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Size, content type, ETag and modification time of an object, or null if
+  // it does not exist
+  async statFile(bucketName, objectName) {
+    try {
+      if (this.isS3) {
+        const command = new HeadObjectCommand({
+          Bucket: bucketName,
+          Key: objectName,
+        });
+        const response = await this.client.send(command);
+        return {
+          size: response.ContentLength,
+          contentType: response.ContentType,
+          etag: response.ETag,
+          lastModified: response.LastModified,
+        };
+      } else {
+        const stat = await this.client.statObject(bucketName, objectName);
+        return {
+          size: stat.size,
+          contentType: stat.metaData && stat.metaData['content-type'],
+          etag: stat.etag && `"${stat.etag.replace(/"/g, '')}"`,
+          lastModified: stat.lastModified,
+        };
+      }
+    } catch (error) {
+      if (error.name === 'NotFound' || error.code === 'NotFound' || error.code === 'NoSuchKey') {
+        return null;
+      }
+      logger.error(`Error getting file stats: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // URL the client can PUT the object to directly, valid for expiresInSeconds
+  async getPresignedUploadUrl(bucketName, objectName, contentType, expiresInSeconds) {
+    try {
+      if (this.isS3) {
+        const command = new PutObjectCommand({
+          Bucket: bucketName,
+          Key: objectName,
+          ContentType: contentType,
+        });
+        return await getSignedUrl(this.client, command, { expiresIn: expiresInSeconds });
+      } else {
+        return await this.client.presignedPutObject(bucketName, objectName, expiresInSeconds);
+      }
+    } catch (error) {
+      logger.error(`Error presigning upload: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // URL the client can GET the object from directly, valid for expiresInSeconds
+  async getPresignedDownloadUrl(bucketName, objectName, expiresInSeconds) {
+    try {
+      if (this.isS3) {
+        const command = new GetObjectCommand({
+          Bucket: bucketName,
+          Key: objectName,
+        });
+        return await getSignedUrl(this.client, command, { expiresIn: expiresInSeconds });
+      } else {
+        return await this.client.presignedGetObject(bucketName, objectName, expiresInSeconds);
+      }
+    } catch (error) {
+      logger.error(`Error presigning download: ${error.message}`);
+      throw error;
+    }
+  }
+
   async deleteFile(bucketName, objectName) {
     try {
       if (this.isS3) {
@@ -83,6 +172,45 @@ class StorageAdapter {
     }
   }
 
+  // Deletes every object whose key starts with prefix
+  async deletePrefix(bucketName, prefix) {
+    try {
+      let deleted = 0;
+      if (this.isS3) {
+        let ContinuationToken;
+        do {
+          const page = await this.client.send(new ListObjectsV2Command({
+            Bucket: bucketName,
+            Prefix: prefix,
+            ContinuationToken
+          }));
+          const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+          if (objects.length > 0) {
+            await this.client.send(new DeleteObjectsCommand({
+              Bucket: bucketName,
+              Delete: { Objects: objects, Quiet: true }
+            }));
+            deleted += objects.length;
+          }
+          ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+      } else {
+        const names = [];
+        for await (const object of this.client.listObjectsV2(bucketName, prefix, true)) {
+          names.push(object.name);
+        }
+        if (names.length > 0) {
+          await this.client.removeObjects(bucketName, names);
+        }
+        deleted = names.length;
+      }
+      logger.info(`Successfully deleted ${deleted} objects under ${prefix} from ${bucketName}`);
+    } catch (error) {
+      logger.error(`Error deleting prefix: ${error.message}`);
+      throw error;
+    }
+  }
+
   async ensureBucketExists(bucketName) {
     try {
       if (this.isS3) {
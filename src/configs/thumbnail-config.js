@@ -0,0 +1,14 @@
+const config = {
+  // Candidate frames, as fractions of the video duration
+  candidatePositions: [0.1, 0.3, 0.5, 0.7, 0.9],
+  // Widths in pixels; heights follow the source aspect ratio and sources
+  // are never upscaled
+  sizes: {
+    grid: 360,
+    poster: 1080
+  },
+  jpegQuality: 3, // ffmpeg -q:v, 2 (best) to 31
+  maxCoverSize: 5 * 1024 * 1024 // 5MB
+};
+
+module.exports = config;
@@ -0,0 +1,15 @@
+const path = require('path');
+const os = require('os');
+
+const config = {
+  // Staging files for in-progress resumable uploads
+  stagingDir: process.env.UPLOAD_STAGING_DIR || path.join(os.tmpdir(), 'upload-sessions'),
+  // Sessions without progress for this long expire and are cleaned up
+  sessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24,
+  maxChunkSize: parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE) || 8 * 1024 * 1024, // 8MB
+  cleanupIntervalMinutes: parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES) || 15,
+  checksumAlgorithms: ['sha256', 'md5'],
+  presignedUrlTtlSeconds: parseInt(process.env.UPLOAD_PRESIGNED_URL_TTL_SECONDS) || 15 * 60
+};
+
+module.exports = config;
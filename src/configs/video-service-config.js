@@ -3,6 +3,18 @@ const config = {
   region: process.env.AWS_REGION || 'us-east-2',
   maxVideoSize: parseInt(process.env.MAX_VIDEO_SIZE) || 100 * 1024 * 1024, // 100MB
   videoRetentionDays: parseInt(process.env.VIDEO_RETENTION_DAYS) || 30,
+  // Longest clip each role may publish, in seconds. Longer sources need
+  // start/end trim points, they are never cut silently.
+  maxDurationByRole: {
+    USER: parseInt(process.env.VIDEO_MAX_DURATION_USER) || 30,
+    CREATOR: parseInt(process.env.VIDEO_MAX_DURATION_CREATOR) || 180,
+    MODERATOR: parseInt(process.env.VIDEO_MAX_DURATION_MODERATOR) || 180,
+    ADMIN: parseInt(process.env.VIDEO_MAX_DURATION_ADMIN) || 600
+  },
+  // Container durations are rarely exact, a clip this much over the limit
+  // is shortened to it instead of being rejected
+  durationToleranceSeconds: 0.5,
+  getMaxDuration: (role) => config.maxDurationByRole[role] || config.maxDurationByRole.USER,
   getBaseUrl: () => {
     const region = process.env.AWS_REGION || 'us-east-2';
     const bucketName = process.env.AWS_BUCKET_NAME || 'socialworldworldcoin';
@@ -0,0 +1,8 @@
+const config = {
+  visibilities: ['PUBLIC', 'UNLISTED', 'PRIVATE', 'FOLLOWERS'],
+  defaultVisibility: 'PUBLIC',
+  // Web or deep-link base that share links point at
+  getShareBaseUrl: () => process.env.SHARE_BASE_URL || process.env.API_URL || 'http://localhost:3000'
+};
+
+module.exports = config;
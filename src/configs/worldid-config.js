@@ -0,0 +1,12 @@
+const config = {
+  appId: process.env.WORLD_APP_ID,
+  // Registration and login share one incognito action so the nullifier hash
+  // stays stable for a given human across both flows.
+  action: process.env.WORLD_ID_ACTION || 'login',
+  // 'cloud' verifies against the Worldcoin Developer Portal, 'stub' only checks
+  // the payload shape and is meant for local development and tests.
+  verifier: process.env.WORLD_ID_VERIFIER || (process.env.NODE_ENV === 'test' ? 'stub' : 'cloud'),
+  verifyEndpoint: process.env.WORLD_ID_VERIFY_ENDPOINT
+};
+
+module.exports = config;
@@ -1,19 +1,21 @@
-const jwt = require('jsonwebtoken');
-const { WorldID } = require('@worldcoin/minikit-js');
 const prisma = require('../configs/database');
 const logger = require('../utils/logger');
+const worldIdService = require('../services/worldIdService');
+const sessionService = require('../services/sessionService');
 
 class AuthController {
   async register(req, res) {
     try {
-      const { worldId, username } = req.body;
-
-      // Verify World ID
-      const isVerified = await WorldID.verify(worldId);
-      if (!isVerified) {
-        return res.status(400).json({
+      const { username } = req.body;
+
+      // Verify World ID proof, the nullifier hash identifies the human
+      let worldId;
+      try {
+        ({ nullifierHash: worldId } = await worldIdService.verifyProof(req.body));
+      } catch (error) {
+        return res.status(401).json({
           status: 'error',
-          message: 'Invalid World ID'
+          message: error.message
         });
       }
 
@@ -38,16 +40,16 @@ class AuthController {
       const user = await prisma.user.create({
         data: {
           worldId,
-          username
+          username,
+          worldIdVerifiedAt: new Date()
         }
       });
 
-      // Generate token
-      const token = jwt.sign(
-        { id: user.id, worldId: user.worldId },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-      );
+      // Start a session
+      const { token, refreshToken } = await sessionService.createSession(user, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
 
       logger.info(`User registered: ${user.id}`);
 
@@ -59,7 +61,8 @@ class AuthController {
             username: user.username,
             worldId: user.worldId
           },
-          token
+          token,
+          refreshToken
         }
       });
     } catch (error) {
@@ -73,14 +76,14 @@ class AuthController {
 
   async login(req, res) {
     try {
-      const { worldId } = req.body;
-
-      // Verify World ID
-      const isVerified = await WorldID.verify(worldId);
-      if (!isVerified) {
-        return res.status(400).json({
+      // Verify World ID proof
+      let worldId;
+      try {
+        ({ nullifierHash: worldId } = await worldIdService.verifyProof(req.body));
+      } catch (error) {
+        return res.status(401).json({
           status: 'error',
-          message: 'Invalid World ID'
+          message: error.message
         });
       }
 
@@ -96,12 +99,11 @@ class AuthController {
         });
       }
 
-      // Generate token
-      const token = jwt.sign(
-        { id: user.id, worldId: user.worldId },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
-      );
+      // Start a session
+      const { token, refreshToken } = await sessionService.createSession(user, {
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+      });
 
       logger.info(`User logged in: ${user.id}`);
 
@@ -113,7 +115,8 @@ class AuthController {
             username: user.username,
             worldId: user.worldId
           },
-          token
+          token,
+          refreshToken
         }
       });
     } catch (error) {
@@ -22,7 +22,7 @@ class ContentController {
 
       // Use the video service to handle the upload
       const videoService = require('../services/videoService');
-      const result = await videoService.uploadVideo(req.file, userId);
+      const result = await videoService.uploadVideo(req.file, userId, { title, description });
 
       // Award tokens for uploading
       await tokenService.earnTokens(userId, 10, result.video.id);
@@ -253,8 +253,11 @@ class ContentController {
         });
       }
 
+      // Grid size by default, ?size=poster for the full-screen cover
+      const thumbnailKey = req.query.size === 'poster' && video.posterUrl ? video.posterUrl : video.thumbnailUrl;
+
       try {
-        const thumbnailStream = await storageClient.getFile(config.bucketName, video.thumbnailUrl);
+        const thumbnailStream = await storageClient.getFile(config.bucketName, thumbnailKey);
         res.setHeader('Content-Type', 'image/jpeg');
         thumbnailStream.pipe(res);
       } catch (error) {
@@ -2,9 +2,39 @@ const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
+const roleService = require('../services/roleService');
+const playbackService = require('../services/playbackService');
+const visibilityService = require('../services/visibilityService');
+const authConfig = require('../configs/auth-config');
+
+// Impersonates a seeded user by id or username, only reachable when DEV_AUTH is on
+const authenticateDevUser = async (identifier, req, res, next) => {
+  const user = await prisma.user.findFirst({
+    where: {
+      OR: [
+        { id: identifier },
+        { username: identifier }
+      ]
+    }
+  });
+
+  if (!user) {
+    return res.status(401).json({ error: 'Dev-auth user not found' });
+  }
+
+  req.user = user;
+  req.sessionId = null;
+  next();
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
+    const devUser = authConfig.devAuth && req.headers[authConfig.devAuthHeader];
+    if (devUser) {
+      return await authenticateDevUser(devUser, req, res, next);
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -12,29 +42,15 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ error: 'Access token required' });
     }
 
-    // For development, accept mock token
-    if (token === 'mock-jwt-token') {
-      req.user = {
-        id: '41445b8b-e984-4a49-b2b0-de73e1e8a710',
-        username: 'testuser',
-        avatar: 'https://api.dicebear.com/7.x/avataaars/svg?seed=testuser'
-      };
-      return next();
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id }
-    });
-
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
+    const { user, sessionId } = await sessionService.verifyAccessToken(token);
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Token expired' });
+    }
     logger.error('Error in auth middleware:', error);
     return res.status(401).json({ error: 'Invalid token' });
   }
@@ -42,14 +58,7 @@ const authenticateToken = async (req, res, next) => {
 
 const isInfluencer = async (req, res, next) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      include: {
-        videos: true
-      }
-    });
-
-    if (!user || user.videos.length < 10) {
+    if (!(await roleService.isInfluencer(req.user))) {
       return res.status(403).json({
         status: 'error',
         message: 'User is not an influencer'
@@ -65,6 +74,57 @@ const isInfluencer = async (req, res, next) => {
   }
 };
 
+// Allows the request through when the user holds one of the given roles
+const requireRole = (...roles) => {
+  roles.forEach(role => roleService.normalizeRole(role));
+
+  return (req, res, next) => {
+    if (!roleService.hasRole(req.user, roles)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Insufficient permissions'
+      });
+    }
+
+    next();
+  };
+};
+
+// Media routes accept a signed playback token (query or path) in place of
+// a bearer token, so players and <img> tags can load them directly
+const authorizePlayback = (resource) => {
+  return async (req, res, next) => {
+    const token = req.params.token || req.query.token;
+    if (!token) {
+      // Bearer requests are checked against the video's visibility here,
+      // signed tokens in verifyToken
+      return authenticateToken(req, res, async () => {
+        try {
+          await visibilityService.assertCanView(req.params.videoId, req.user.id);
+          next();
+        } catch (error) {
+          if (error.message.includes('not found')) {
+            return res.status(404).json({ status: 'error', message: error.message });
+          }
+          next(error);
+        }
+      });
+    }
+
+    try {
+      const { userId } = await playbackService.verifyToken(token, req.params.videoId, resource);
+      req.playbackUserId = userId;
+      next();
+    } catch (error) {
+      logger.warn(`Rejected playback token for video ${req.params.videoId}: ${error.message}`);
+      return res.status(403).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  };
+};
+
 // Comment out the original verifyToken for now
 /*
 const verifyToken = async (req, res, next) => {
@@ -114,5 +174,7 @@ const verifyToken = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
-  isInfluencer
+  authorizePlayback,
+  isInfluencer,
+  requireRole
 }; 
\ No newline at end of file
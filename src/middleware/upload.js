@@ -0,0 +1,28 @@
+const multer = require('multer');
+
+// Parses one multipart file with `parser` and answers its errors directly
+// instead of leaving them to the app-level 500 handler: 413 for a file over
+// the parser's size limit, 400 for a rejected file type or malformed upload
+const singleFile = (parser, field, maxSize) => {
+  return (req, res, next) => {
+    parser.single(field)(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          status: 'error',
+          error: `File too large, the maximum size is ${maxSize} bytes`
+        });
+      }
+      res.status(400).json({
+        status: 'error',
+        error: error.message
+      });
+    });
+  };
+};
+
+module.exports = {
+  singleFile
+};
@@ -77,11 +77,7 @@ class UserModel {
     try {
       return await prisma.user.findMany({
         where: {
-          videos: {
-            _count: {
-              gte: 10
-            }
-          }
+          isInfluencer: true
         },
         include: {
           videos: true,
@@ -0,0 +1,281 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const roleService = require('../services/roleService');
+const fingerprintService = require('../services/fingerprintService');
+const fingerprintConfig = require('../configs/fingerprint-config');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [USER, CREATOR, MODERATOR, ADMIN]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role changed and recorded in the audit log
+ *       403:
+ *         description: Forbidden - Not an admin
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:userId/role', requireRole('admin'), [
+  body('role').isString().notEmpty().withMessage('Role is required'),
+  body('reason').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const result = await roleService.grantRole(req.params.userId, req.body.role, {
+      grantedById: req.user.id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    if (error.message.startsWith('Invalid role')) {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error changing role:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to change role' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role-grants:
+ *   get:
+ *     summary: Get the role change audit log of a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role grants, most recent first
+ *       403:
+ *         description: Forbidden - Not an admin
+ */
+router.get('/users/:userId/role-grants', requireRole('admin'), async (req, res) => {
+  try {
+    const grants = await roleService.getRoleHistory(req.params.userId);
+
+    res.json({
+      status: 'success',
+      data: { grants }
+    });
+  } catch (error) {
+    logger.error('Error fetching role grants:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to fetch role grants' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/influencer/refresh:
+ *   post:
+ *     summary: Recompute a user's cached influencer status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Influencer status recomputed
+ *       403:
+ *         description: Forbidden - Not a moderator or admin
+ */
+router.post('/users/:userId/influencer/refresh', requireRole('moderator'), async (req, res) => {
+  try {
+    const isInfluencer = await roleService.refreshInfluencerStatus(req.params.userId);
+
+    res.json({
+      status: 'success',
+      data: { isInfluencer }
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error refreshing influencer status:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to refresh influencer status' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/duplicates:
+ *   get:
+ *     summary: List videos flagged as duplicates of another user's video
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, CONFIRMED, DISMISSED]
+ *           default: PENDING
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor of the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matches oldest first, each with the flagged video, the original and the similarity
+ *       400:
+ *         description: Invalid status, cursor or limit
+ *       403:
+ *         description: Forbidden - Not a moderator or admin
+ */
+router.get('/duplicates', requireRole('moderator'), [
+  query('status').optional().isIn(['PENDING', 'CONFIRMED', 'DISMISSED']),
+  query('cursor').optional().matches(/^\d{1,15}:[\w-]+$/).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const result = await fingerprintService.listMatches({
+      status: req.query.status,
+      cursor: req.query.cursor,
+      limit: req.query.limit || fingerprintConfig.reviewPageSize
+    });
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error fetching duplicate matches:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to fetch duplicate matches' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/duplicates/{matchId}:
+ *   put:
+ *     summary: Confirm or dismiss a flagged duplicate
+ *     description: Confirming makes the flagged video private; dismissing leaves it as it is.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [CONFIRMED, DISMISSED]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Match reviewed
+ *       403:
+ *         description: Forbidden - Not a moderator or admin
+ *       404:
+ *         description: Match not found
+ *       409:
+ *         description: Match was already reviewed
+ */
+router.put('/duplicates/:matchId', requireRole('moderator'), [
+  body('status').isIn(['CONFIRMED', 'DISMISSED']).withMessage('Status must be CONFIRMED or DISMISSED'),
+  body('note').optional().isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const match = await fingerprintService.reviewMatch(req.params.matchId, req.user.id, {
+      status: req.body.status,
+      note: req.body.note
+    });
+
+    res.json({
+      status: 'success',
+      data: match
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    if (error.message.includes('already')) {
+      return res.status(409).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error reviewing duplicate match:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to review duplicate match' });
+  }
+});
+
+module.exports = router;
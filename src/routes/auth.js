@@ -1,60 +1,71 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const { validationResult } = require('express-validator');
 const { PrismaClient } = require('@prisma/client');
-const { WorldID } = require('@worldcoin/minikit-js');
-const authController = require('../controllers/authController');
 const { validateUserRegistration, validateUserLogin } = require('../utils/validators');
 const { authenticateToken } = require('../middleware/auth');
-const bcrypt = require('bcryptjs');
+const worldIdService = require('../services/worldIdService');
+const sessionService = require('../services/sessionService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Validation middleware
-const validateRegistration = [
-  body('worldId').notEmpty().withMessage('World ID is required'),
-  body('username')
-    .isLength({ min: 3, max: 30 })
-    .withMessage('Username must be between 3 and 30 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
-  body('email')
-    .isEmail()
-    .withMessage('Must be a valid email address')
-    .normalizeEmail(),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-];
-
-const validateLogin = [
-  body('worldId').notEmpty().withMessage('World ID is required')
-];
+const sessionMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorldIdProof:
+ *       type: object
+ *       required:
+ *         - merkle_root
+ *         - nullifier_hash
+ *         - proof
+ *         - action
+ *       properties:
+ *         merkle_root:
+ *           type: string
+ *         nullifier_hash:
+ *           type: string
+ *           description: Unique per human and action, used as the account key
+ *         proof:
+ *           type: string
+ *         verification_level:
+ *           type: string
+ *           enum: [orb, device]
+ *         action:
+ *           type: string
+ *           description: Must match the configured World ID action
+ *         signal:
+ *           type: string
+ */
 
 /**
  * @swagger
  * /api/auth/register:
  *   post:
- *     summary: Register a new user
+ *     summary: Register a new user with a World ID proof
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - worldId
- *               - username
- *             properties:
- *               worldId:
- *                 type: string
- *                 description: World ID for user verification
- *               username:
- *                 type: string
- *                 description: Username for the new account
+ *             allOf:
+ *               - $ref: '#/components/schemas/WorldIdProof'
+ *               - type: object
+ *                 required:
+ *                   - username
+ *                 properties:
+ *                   username:
+ *                     type: string
+ *                     description: Username for the new account
+ *                   email:
+ *                     type: string
  *     responses:
  *       201:
  *         description: User successfully registered
@@ -76,14 +87,18 @@ const validateLogin = [
  *                           type: string
  *                         username:
  *                           type: string
- *                         worldId:
- *                           type: string
  *                     token:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
  *       400:
  *         description: Invalid input or user already exists
+ *       401:
+ *         description: World ID proof could not be verified
+ *       409:
+ *         description: This World ID is already linked to an account
  */
-router.post('/register', validateRegistration, async (req, res) => {
+router.post('/register', validateUserRegistration, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -94,15 +109,35 @@ router.post('/register', validateRegistration, async (req, res) => {
       });
     }
 
-    const { username, worldId, email, password } = req.body;
+    const { username, email } = req.body;
+
+    let verification;
+    try {
+      verification = await worldIdService.verifyProof(req.body);
+    } catch (error) {
+      return res.status(401).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    // One human, one account
+    const existingHuman = await prisma.user.findUnique({
+      where: { worldId: verification.nullifierHash }
+    });
+
+    if (existingHuman) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This World ID is already linked to an account'
+      });
+    }
 
-    // Check if user already exists
     const existingUser = await prisma.user.findFirst({
       where: {
         OR: [
           { username },
-          { worldId },
-          { email }
+          ...(email ? [{ email }] : [])
         ]
       }
     });
@@ -114,25 +149,20 @@ router.post('/register', validateRegistration, async (req, res) => {
       });
     }
 
-    // Create new user
-    const hashedPassword = await bcrypt.hash(password, 10);
     const user = await prisma.user.create({
       data: {
         username,
-        worldId,
-        email,
-        password: hashedPassword,
+        email: email || null,
+        worldId: verification.nullifierHash,
+        verificationLevel: verification.verificationLevel,
+        worldIdVerifiedAt: new Date(),
         avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${username}`,
         tokenBalance: 0
       }
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Start a session with an access/refresh token pair
+    const { token, refreshToken } = await sessionService.createSession(user, sessionMeta(req));
 
     res.status(201).json({
       status: 'success',
@@ -144,7 +174,8 @@ router.post('/register', validateRegistration, async (req, res) => {
           avatar: user.avatar,
           tokenBalance: user.tokenBalance
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -161,18 +192,14 @@ router.post('/register', validateRegistration, async (req, res) => {
  * @swagger
  * /api/auth/login:
  *   post:
- *     summary: Login with test credentials
+ *     summary: Login with a World ID proof
  *     tags: [Auth]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               worldId:
- *                 type: string
- *                 description: Test WorldID (any value will work)
+ *             $ref: '#/components/schemas/WorldIdProof'
  *     responses:
  *       200:
  *         description: Login successful
@@ -183,6 +210,8 @@ router.post('/register', validateRegistration, async (req, res) => {
  *               properties:
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   type: object
  *                   properties:
@@ -192,39 +221,42 @@ router.post('/register', validateRegistration, async (req, res) => {
  *                       type: string
  *                     avatar:
  *                       type: string
+ *       401:
+ *         description: World ID proof could not be verified
+ *       404:
+ *         description: No account is registered for this World ID
  */
-router.post('/login', async (req, res) => {
+router.post('/login', validateUserLogin, async (req, res) => {
   try {
-    // Find or create test user
-    let user = await prisma.user.findFirst({
-      where: { username: 'testuser' }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    let verification;
+    try {
+      verification = await worldIdService.verifyProof(req.body);
+    } catch (error) {
+      return res.status(401).json({ status: 'error', error: error.message });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { worldId: verification.nullifierHash }
     });
 
     if (!user) {
-      user = await prisma.user.create({
-        data: {
-          username: 'testuser',
-          worldId: 'test-world-id',
-          email: 'testuser@example.com',
-          password: await bcrypt.hash('testpassword123', 10),
-          avatar: 'https://api.dicebear.com/7.x/avataaars/svg?seed=testuser',
-          tokenBalance: 0,
-          totalEarnings: 0,
-          followers: 0,
-          following: 0
-        }
-      });
+      return res.status(404).json({ status: 'error', error: 'No account registered for this World ID' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, username: user.username },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Start a session with an access/refresh token pair
+    const { token, refreshToken } = await sessionService.createSession(user, sessionMeta(req));
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user.id,
         username: user.username,
@@ -233,7 +265,187 @@ router.post('/login', async (req, res) => {
     });
   } catch (error) {
     logger.error('Login error:', error);
-    res.status(500).json({ error: 'Failed to login' });
+    res.status(500).json({ status: 'error', error: 'Failed to login' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens rotated, the old refresh token is no longer valid
+ *       401:
+ *         description: Refresh token invalid, expired or reused
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Refresh token is required'
+      });
+    }
+
+    const tokens = await sessionService.refresh(refreshToken, sessionMeta(req));
+
+    res.json({
+      status: 'success',
+      data: tokens
+    });
+  } catch (error) {
+    if (/refresh token/i.test(error.message)) {
+      return res.status(401).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    logger.error('Error refreshing token:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to refresh token'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke the current session, or every session with all=true
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               all:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.body && req.body.all === true) {
+      await sessionService.revokeAllSessions(req.user.id);
+    } else {
+      await sessionService.revokeSession(req.user.id, req.sessionId);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Error logging out:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to log out'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, the one making the request is flagged as current
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing sessions:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to list sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.params.sessionId);
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    logger.error('Error revoking session:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to revoke session'
+    });
   }
 });
 
@@ -275,9 +487,13 @@ router.get('/profile', authenticateToken, async (req, res) => {
       select: {
         id: true,
         username: true,
+        displayName: true,
+        bio: true,
+        links: true,
         avatar: true,
         tokenBalance: true,
         email: true,
+        role: true,
         isInfluencer: true,
         followers: true,
         following: true,
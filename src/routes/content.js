@@ -5,11 +5,12 @@ const VideoService = require('../services/videoService');
 const tokenService = require('../services/tokenService');
 const gamificationService = require('../services/gamificationService');
 const contentController = require('../controllers/contentController');
-const { validateVideoUpload } = require('../utils/validators');
+const { validateVideoUpload, validateVideoUpdate, validateSchedule, validateCaptionTrack, validateWatchTime, validateWatch } = require('../utils/validators');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const logger = require('../utils/logger');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizePlayback } = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const { promisify } = require('util');
@@ -17,6 +18,19 @@ const fs = require('fs').promises;
 const os = require('os');
 const multer = require('multer');
 const commentService = require('../services/commentService');
+const rankingService = require('../services/rankingService');
+const roleService = require('../services/roleService');
+const impressionService = require('../services/impressionService');
+const visibilityService = require('../services/visibilityService');
+const publishingService = require('../services/publishingService');
+const impressionConfig = require('../configs/impression-config');
+const hlsService = require('../services/hlsService');
+const hlsConfig = require('../configs/hls-config');
+const previewService = require('../services/previewService');
+const thumbnailService = require('../services/thumbnailService');
+const thumbnailConfig = require('../configs/thumbnail-config');
+const captionService = require('../services/captionService');
+const captionConfig = require('../configs/caption-config');
 
 const videoService = VideoService;
 
@@ -44,8 +58,52 @@ const upload = multer({
   }
 });
 
+// Custom covers are small, keep them in memory until they are resized
+const coverUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: thumbnailConfig.maxCoverSize
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
+// Caption files are plain text and small; browsers report no reliable
+// MIME type for them, so the extension decides
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: captionConfig.maxFileSize
+  },
+  fileFilter: (req, file, cb) => {
+    if (captionConfig.formats.includes(path.extname(file.originalname).slice(1).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .vtt and .srt caption files are allowed'));
+    }
+  }
+});
+
 const router = express.Router();
 
+// If-Range: a range only applies while the client's copy is still current
+const isRangeFresh = (req, object) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+
+  if (ifRange.includes('"')) {
+    return Boolean(object.etag) && ifRange === object.etag;
+  }
+  const since = Date.parse(ifRange);
+  return Boolean(object.lastModified) && !Number.isNaN(since) &&
+    Math.floor(new Date(object.lastModified).getTime() / 1000) <= Math.floor(since / 1000);
+};
+
 // Function to get video duration
 const getVideoDuration = (filePath) => {
   return new Promise((resolve, reject) => {
@@ -59,20 +117,6 @@ const getVideoDuration = (filePath) => {
   });
 };
 
-// Function to trim video to 30 seconds
-const trimVideo = (inputPath) => {
-  return new Promise((resolve, reject) => {
-    const outputPath = path.join(os.tmpdir(), `trimmed-${Date.now()}.mp4`);
-    
-    ffmpeg(inputPath)
-      .setDuration(30) // Trim to 30 seconds
-      .output(outputPath)
-      .on('end', () => resolve(outputPath))
-      .on('error', (err) => reject(err))
-      .run();
-  });
-};
-
 /**
  * @swagger
  * /api/content/upload:
@@ -102,9 +146,30 @@ const trimVideo = (inputPath) => {
  *               description:
  *                 type: string
  *                 description: Video description
+ *               visibility:
+ *                 type: string
+ *                 enum: [PUBLIC, UNLISTED, PRIVATE, FOLLOWERS]
+ *                 default: PUBLIC
+ *               draft:
+ *                 type: boolean
+ *                 description: Keep the video as a draft until it is published
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish the video automatically at this time
+ *               start:
+ *                 type: number
+ *                 description: Start of the clip to publish, in seconds
+ *               end:
+ *                 type: number
+ *                 description: End of the clip to publish, in seconds. The clip must fit the maximum duration of the uploader's role.
+ *               normalizeAudio:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Normalize loudness to the platform target, turn off to keep a music mix as uploaded
  *     responses:
  *       201:
- *         description: Video uploaded successfully
+ *         description: Video uploaded and queued for processing, thumbnail and duration are set once it is READY
  *         content:
  *           application/json:
  *             schema:
@@ -125,16 +190,24 @@ const trimVideo = (inputPath) => {
  *                           type: string
  *                         description:
  *                           type: string
+ *                         tags:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                           description: Hashtags extracted from the description
  *                         url:
  *                           type: string
+ *                         status:
+ *                           type: string
+ *                           enum: [QUEUED, PROCESSING, READY, FAILED]
  *                         userId:
  *                           type: string
  *       400:
- *         description: Invalid input or file type
+ *         description: Invalid input or file type, or a clip longer than the uploader may publish
  *       401:
  *         description: Unauthorized
  */
-router.post('/upload', authenticateToken, upload.single('video'), async (req, res) => {
+router.post('/upload', authenticateToken, upload.single('video'), validateVideoUpload, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
@@ -143,25 +216,32 @@ router.post('/upload', authenticateToken, upload.single('video'), async (req, re
       });
     }
 
-    const { title, description } = req.body;
-    if (!title || !description) {
-      return res.status(400).json({
-        status: 'error',
-        error: 'Title and description are required'
-      });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await fs.rm(req.file.path, { force: true });
+      return res.status(400).json({ status: 'error', errors: errors.array() });
     }
 
+    const { title, description, visibility, draft, publishAt, start, end, normalizeAudio } = req.body;
+
     // Upload video and get metadata
-    const videoMetadata = await videoService.uploadVideo(req.file, req.user.id);
+    const videoMetadata = await videoService.uploadVideo(req.file, req.user.id, {
+      title, description, visibility, draft, publishAt, trimStart: start, trimEnd: end, normalizeAudio
+    });
     
     // Transform the response to match the expected format
     const response = {
       id: videoMetadata.video.id,
       title: videoMetadata.video.title,
-      description: description,
+      description: videoMetadata.video.description,
+      tags: videoMetadata.video.tags,
+      visibility: videoMetadata.video.visibility,
+      publishStatus: videoMetadata.video.publishStatus,
+      publishAt: videoMetadata.video.publishAt,
       url: videoMetadata.video.url,
       thumbnailUrl: videoMetadata.video.thumbnailUrl,
       duration: videoMetadata.video.duration,
+      status: videoMetadata.video.status,
       userId: videoMetadata.video.userId,
       createdAt: videoMetadata.video.createdAt,
       user: req.user,
@@ -177,10 +257,13 @@ router.post('/upload', authenticateToken, upload.single('video'), async (req, re
       status: 'success',
       data: { 
         video: response,
-        message: 'Video uploaded successfully'
+        message: 'Video uploaded, processing has been queued'
       }
     });
   } catch (error) {
+    if (error.message.includes('too long') || error.message.includes('Invalid trim') || error.message.includes('Invalid file')) {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
     console.error('Error uploading video:', error);
     res.status(500).json({ 
       status: 'error',
@@ -209,20 +292,55 @@ router.post('/upload', authenticateToken, upload.single('video'), async (req, re
  *           type: integer
  *           default: 10
  *         description: Number of videos to return
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [latest, foryou]
+ *           default: latest
+ *         description: latest is reverse-chronological, foryou is personally ranked
+ *       - in: query
+ *         name: debug
+ *         schema:
+ *           type: boolean
+ *         description: In foryou mode, include each video's score breakdown (non-production or staff only)
  *     responses:
  *       200:
  *         description: Video feed retrieved successfully
+ *       400:
+ *         description: Unknown mode or invalid cursor
  */
 router.get('/feed', authenticateToken, async (req, res) => {
   try {
-    const { cursor, limit = 10 } = req.query;
-    const feed = await videoService.getFeed(cursor, parseInt(limit), req.user.id);
+    const { cursor, limit = 10, mode = 'latest', debug } = req.query;
+
+    if (!['latest', 'foryou'].includes(mode)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'mode must be either latest or foryou'
+      });
+    }
+
+    // Score explanations are only exposed outside production or to staff
+    const canDebug = process.env.NODE_ENV !== 'production' || roleService.hasRole(req.user, ['moderator']);
+
+    const feed = mode === 'foryou'
+      ? await rankingService.getForYouFeed(req.user.id, cursor, parseInt(limit), {
+        debug: debug === 'true' && canDebug
+      })
+      : await videoService.getFeed(cursor, parseInt(limit), req.user.id);
     
     res.json({
       status: 'success',
       data: feed
     });
   } catch (error) {
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        status: 'error',
+        error: error.message
+      });
+    }
     logger.error('Error fetching feed:', error);
     res.status(500).json({ 
       status: 'error',
@@ -232,6 +350,147 @@ router.get('/feed', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/content/feed/following:
+ *   get:
+ *     summary: Get videos from accounts the current user follows
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Cursor for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of videos to return
+ *       - in: query
+ *         name: blend
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Continue with global videos once the following feed runs dry
+ *     responses:
+ *       200:
+ *         description: Video feed retrieved successfully, each video tagged with its source
+ */
+router.get('/feed/following', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit = 10, blend } = req.query;
+    const feed = await videoService.getFollowingFeed(cursor, parseInt(limit), req.user.id, {
+      blend: blend === 'true'
+    });
+
+    res.json({
+      status: 'success',
+      data: feed
+    });
+  } catch (error) {
+    logger.error('Error fetching following feed:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch following feed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/impressions:
+ *   post:
+ *     summary: Record a batch of videos shown to the current user
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - videoIds
+ *             properties:
+ *               videoIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Impressions recorded, these videos are skipped by the feed for the retention window
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: Concurrent updates to the impression log, retry the batch
+ */
+router.post('/impressions', authenticateToken, [
+  body('videoIds')
+    .isArray({ min: 1, max: impressionConfig.maxBatchSize })
+    .withMessage(`videoIds must be an array of 1 to ${impressionConfig.maxBatchSize} video IDs`),
+  body('videoIds.*').isString().notEmpty().withMessage('Each video ID must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        errors: errors.array()
+      });
+    }
+
+    const result = await impressionService.recordImpressions(req.user.id, req.body.videoIds);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    if (error.message.includes('concurrent updates')) {
+      return res.status(409).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error recording impressions:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to record impressions',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/scheduled:
+ *   get:
+ *     summary: List the current user's drafts and scheduled videos
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduled videos ordered by publishAt, then drafts
+ */
+router.get('/scheduled', authenticateToken, async (req, res) => {
+  try {
+    const videos = await publishingService.listUnpublished(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: videos
+    });
+  } catch (error) {
+    logger.error('Error listing scheduled videos:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to list scheduled videos' });
+  }
+});
+
 /**
  * @swagger
  * /api/content/{videoId}:
@@ -249,13 +508,13 @@ router.get('/feed', authenticateToken, async (req, res) => {
  *         description: Video ID
  *     responses:
  *       200:
- *         description: Video metadata retrieved successfully
+ *         description: Video metadata retrieved successfully, the owner of an unlisted video also gets its shareUrl
  *       404:
- *         description: Video not found
+ *         description: Video not found or not visible to the user
  */
 router.get('/:videoId', authenticateToken, async (req, res) => {
   try {
-    const video = await videoService.getVideoMetadata(req.params.videoId);
+    const video = await videoService.getVideoMetadata(req.params.videoId, req.user.id);
     res.json({
       status: 'success',
       data: video
@@ -277,9 +536,11 @@ router.get('/:videoId', authenticateToken, async (req, res) => {
  * /api/content/{videoId}/stream:
  *   get:
  *     summary: Stream video by ID
+ *     description: Supports single byte ranges (Range, If-Range) and conditional requests (If-None-Match, If-Modified-Since).
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
+ *       - {}
  *     parameters:
  *       - in: path
  *         name: videoId
@@ -287,29 +548,83 @@ router.get('/:videoId', authenticateToken, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Video ID
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Signed playback token from playback.videoUrl, replaces the bearer token
+ *       - in: header
+ *         name: Range
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: bytes=0-1048575
  *     responses:
  *       200:
- *         description: Video stream
+ *         description: Whole video
+ *       206:
+ *         description: Requested byte range of the video
+ *       304:
+ *         description: Not modified
+ *       403:
+ *         description: Invalid, expired or revoked playback token
  *       404:
  *         description: Video not found
+ *       409:
+ *         description: Video is still processing or failed to process
+ *       416:
+ *         description: Range not satisfiable
  */
-router.get('/:videoId/stream', authenticateToken, async (req, res) => {
+router.get('/:videoId/stream', authorizePlayback('stream'), async (req, res) => {
   try {
-    const video = await videoService.getVideoMetadata(req.params.videoId);
-    const stream = await videoService.getVideoStream(req.params.videoId);
+    const object = await videoService.getPlaybackObject(req.params.videoId);
 
-    // Set appropriate headers for video streaming
-    res.setHeader('Content-Type', 'video/mp4');
-    res.setHeader('Content-Disposition', `inline; filename="${path.basename(video.filePath)}"`);
+    res.setHeader('Content-Type', object.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${path.basename(object.filePath)}"`);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    if (object.etag) res.setHeader('ETag', object.etag);
+    if (object.lastModified) res.setHeader('Last-Modified', new Date(object.lastModified).toUTCString());
 
-    // Pipe the video stream to the response
-    stream.pipe(res);
+    // Compares If-None-Match / If-Modified-Since against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    let range;
+    if (req.headers.range && isRangeFresh(req, object)) {
+      const ranges = req.range(object.size, { combine: true });
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${object.size}`);
+        return res.status(416).end();
+      }
+      // Malformed or multiple ranges fall back to the whole file
+      if (Array.isArray(ranges) && ranges.length === 1) {
+        range = ranges[0];
+      }
+    }
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${object.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', object.size);
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    const stream = await videoService.getVideoStream(object.filePath, range);
 
     // Handle stream errors
     stream.on('error', (error) => {
       logger.error('Error streaming video:', error);
       if (!res.headersSent) {
         res.status(500).json({ error: 'Error streaming video' });
+      } else {
+        res.destroy(error);
       }
     });
 
@@ -317,20 +632,25 @@ router.get('/:videoId/stream', authenticateToken, async (req, res) => {
     req.on('close', () => {
       stream.destroy();
     });
+
+    stream.pipe(res);
   } catch (error) {
     logger.error('Error streaming video:', error);
     if (error.message.includes('not found')) {
       return res.status(404).json({ error: error.message });
     }
+    if (error.message.includes('not ready')) {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
  * @swagger
- * /api/content/{videoId}/like:
- *   post:
- *     summary: Like a video
+ * /api/content/{videoId}/status:
+ *   get:
+ *     summary: Get the processing status of a video
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
@@ -340,323 +660,1358 @@ router.get('/:videoId/stream', authenticateToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the video to like
  *     responses:
  *       200:
- *         description: Video liked successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 data:
- *                   type: object
- *                   properties:
- *                     likes:
- *                       type: integer
- *       401:
- *         description: Unauthorized
+ *         description: One of QUEUED, PROCESSING, READY or FAILED; the owner also gets the last processing error
  *       404:
- *         description: Video not found
+ *         description: Video not found or not visible to the user
  */
-router.post('/:videoId/like', authenticateToken, async (req, res) => {
+router.get('/:videoId/status', authenticateToken, async (req, res) => {
   try {
-    const video = await prisma.video.findUnique({
-      where: { id: req.params.videoId }
-    });
-
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
+    const status = await videoService.getProcessingStatus(req.params.videoId, req.user.id);
 
-    // Check if already liked
-    const existingLike = await prisma.like.findUnique({
-      where: {
-        userId_videoId: {
-          userId: req.user.id,
-          videoId: video.id
-        }
-      }
+    res.json({
+      status: 'success',
+      data: status
     });
-
-    if (existingLike) {
-      return res.status(400).json({ error: 'Video already liked' });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
     }
+    logger.error('Error getting video status:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to get video status' });
+  }
+});
 
-    // Create like and update video likes count
-    const [like, updatedVideo] = await prisma.$transaction([
-      prisma.like.create({
-        data: {
-          userId: req.user.id,
-          videoId: video.id
-        }
-      }),
-      prisma.video.update({
-        where: { id: video.id },
-        data: { likes: { increment: 1 } }
-      })
-    ]);
+// Maps HLS lookup errors to HTTP responses
+const handleHlsError = (res, error) => {
+  if (error.message.includes('not found') || error.code === 'NoSuchKey' || error.name === 'NoSuchKey') {
+    return res.status(404).json({ status: 'error', error: 'HLS file not found' });
+  }
+  logger.error('Error serving HLS file:', error);
+  res.status(500).json({ status: 'error', error: 'Failed to serve HLS file' });
+};
 
-    // Reward tokens for engagement
-    await tokenService.rewardEngagement(req.user.id, video.id, 'LIKE');
+// Streams one HLS file; playlists are short-lived in caches, segments never change
+const sendHlsFile = async (req, res, file) => {
+  try {
+    const stream = await videoService.getHlsFile(req.params.videoId, file);
 
-    res.json({
-      status: 'success',
-      data: {
-        like,
-        video: updatedVideo
+    res.setHeader('Content-Type', hlsService.getContentType(file));
+    res.setHeader('Cache-Control', file.endsWith('.ts') ? 'private, max-age=31536000, immutable' : 'private, max-age=60');
+    stream.on('error', (error) => {
+      logger.error('Error streaming HLS file:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ status: 'error', error: 'Error streaming HLS file' });
+      } else {
+        res.end();
       }
     });
+    stream.pipe(res);
   } catch (error) {
-    logger.error('Error liking video:', error);
-    res.status(500).json({ error: 'Failed to like video' });
+    handleHlsError(res, error);
   }
-});
+};
 
-/**
- * @swagger
- * /api/content/{videoId}/watch-time:
+// The master playlist is assembled per request so it lists the current
+// caption tracks
+const sendHlsMaster = async (req, res) => {
+  try {
+    const master = await videoService.getHlsMaster(req.params.videoId);
+
+    res.setHeader('Content-Type', hlsService.getContentType(hlsConfig.masterPlaylist));
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    res.send(master);
+  } catch (error) {
+    handleHlsError(res, error);
+  }
+};
+
+// Subtitle playlists are generated; their only segment is the caption track
+const sendHlsSubtitles = async (req, res, file) => {
+  const subtitle = hlsService.parseSubtitleFile(file);
+  if (!subtitle) {
+    return res.status(404).json({ status: 'error', error: 'HLS file not found' });
+  }
+
+  try {
+    const content = subtitle.type === 'm3u8'
+      ? await videoService.getHlsSubtitlePlaylist(req.params.videoId, subtitle.language)
+      : await captionService.getTrackFile(req.params.videoId, subtitle.language);
+
+    res.setHeader('Content-Type', hlsService.getContentType(file));
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    if (typeof content === 'string') {
+      return res.send(content);
+    }
+    content.pipe(res);
+  } catch (error) {
+    handleHlsError(res, error);
+  }
+};
+
+const sendHlsRenditionFile = (req, res) => {
+  const { rendition, file } = req.params;
+  if (rendition === captionConfig.hlsDir) {
+    return sendHlsSubtitles(req, res, file);
+  }
+  if (!hlsService.isValidPath(rendition, file)) {
+    return res.status(404).json({ status: 'error', error: 'HLS file not found' });
+  }
+  sendHlsFile(req, res, `${rendition}/${file}`);
+};
+
+/**
+ * @swagger
+ * /api/content/{videoId}/hls/master.m3u8:
+ *   get:
+ *     summary: Get the HLS master playlist of a video
+ *     description: Lists every rendition of the adaptive bitrate ladder and the caption tracks as a subtitles group; rendition playlists, segments and subtitles are referenced relative to this URL.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Master playlist
+ *         content:
+ *           application/vnd.apple.mpegurl:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Video not found or has no HLS renditions
+ */
+router.get('/:videoId/hls/master.m3u8', authorizePlayback('hls'), sendHlsMaster);
+
+/**
+ * @swagger
+ * /api/content/{videoId}/hls/t/{token}/master.m3u8:
+ *   get:
+ *     summary: Get the HLS master playlist with a signed playback token
+ *     description: URL comes from playback.hlsUrl; rendition playlists and segments resolve below it and carry the same token.
+ *     tags: [Content]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Master playlist
+ *       403:
+ *         description: Invalid, expired or revoked playback token
+ */
+router.get('/:videoId/hls/t/:token/master.m3u8', authorizePlayback('hls'), sendHlsMaster);
+
+router.get('/:videoId/hls/t/:token/:rendition/:file', authorizePlayback('hls'), sendHlsRenditionFile);
+
+/**
+ * @swagger
+ * /api/content/{videoId}/hls/{rendition}/{file}:
+ *   get:
+ *     summary: Get a rendition playlist or segment of a video
+ *     description: The subtitles folder holds one playlist and one WebVTT file per caption track, e.g. subtitles/en.m3u8 and subtitles/en.vtt.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: rendition
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 480p
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: segment_000.ts
+ *     responses:
+ *       200:
+ *         description: Rendition or subtitle playlist, MPEG-TS segment or WebVTT track
+ *       404:
+ *         description: File not found
+ */
+router.get('/:videoId/hls/:rendition/:file', authorizePlayback('hls'), sendHlsRenditionFile);
+
+// Streams one storyboard or preview file from storage
+const sendPreviewFile = async (req, res, getStream, contentType) => {
+  try {
+    const stream = await getStream();
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    stream.on('error', (error) => {
+      logger.error('Error streaming preview file:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ status: 'error', error: 'Error streaming preview file' });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.message.includes('not found') || error.code === 'NoSuchKey' || error.name === 'NoSuchKey') {
+      return res.status(404).json({ status: 'error', error: error.message.includes('not found') ? error.message : 'Preview file not found' });
+    }
+    logger.error('Error serving preview file:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to serve preview file' });
+  }
+};
+
+const sendStoryboardFile = (req, res) => {
+  const { file } = req.params;
+  if (!previewService.isValidStoryboardFile(file)) {
+    return res.status(404).json({ status: 'error', error: 'Storyboard file not found' });
+  }
+  sendPreviewFile(req, res, () => videoService.getStoryboardFile(req.params.videoId, file), previewService.getContentType(file));
+};
+
+/**
+ * @swagger
+ * /api/content/{videoId}/storyboard/{file}:
+ *   get:
+ *     summary: Get the scrubbing storyboard of a video
+ *     description: storyboard.vtt maps time ranges to tiles of the sprite-NNN.jpg sheets with #xywh= fragments; sheets are referenced relative to it. playback.storyboardUrl carries its own token.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: storyboard.vtt
+ *     responses:
+ *       200:
+ *         description: WebVTT index or sprite sheet
+ *       403:
+ *         description: Invalid, expired or revoked playback token
+ *       404:
+ *         description: Video or storyboard not found
+ */
+router.get('/:videoId/storyboard/:file', authorizePlayback('storyboard'), sendStoryboardFile);
+
+router.get('/:videoId/storyboard/t/:token/:file', authorizePlayback('storyboard'), sendStoryboardFile);
+
+/**
+ * @swagger
+ * /api/content/{videoId}/preview:
+ *   get:
+ *     summary: Get the muted animated preview of a video
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Signed playback token from playback.previewUrl, replaces the bearer token
+ *     responses:
+ *       200:
+ *         description: Short looping MP4 without audio
+ *         content:
+ *           video/mp4:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Invalid, expired or revoked playback token
+ *       404:
+ *         description: Video or preview not found
+ */
+router.get('/:videoId/preview', authorizePlayback('preview'), (req, res) => {
+  sendPreviewFile(req, res, () => videoService.getPreviewFile(req.params.videoId), 'video/mp4');
+});
+
+/**
+ * @swagger
+ * /api/content/{videoId}/like:
+ *   post:
+ *     summary: Like a video
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the video to like
+ *     responses:
+ *       200:
+ *         description: Video liked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     likes:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Video not found
+ */
+router.post('/:videoId/like', authenticateToken, async (req, res) => {
+  try {
+    const video = await prisma.video.findUnique({
+      where: { id: req.params.videoId }
+    });
+
+    if (!video || !(await visibilityService.canView(video, req.user.id))) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    // Check if already liked
+    const existingLike = await prisma.like.findUnique({
+      where: {
+        userId_videoId: {
+          userId: req.user.id,
+          videoId: video.id
+        }
+      }
+    });
+
+    if (existingLike) {
+      return res.status(400).json({ error: 'Video already liked' });
+    }
+
+    // Create like and update video likes count
+    const [like, updatedVideo] = await prisma.$transaction([
+      prisma.like.create({
+        data: {
+          userId: req.user.id,
+          videoId: video.id
+        }
+      }),
+      prisma.video.update({
+        where: { id: video.id },
+        data: { likes: { increment: 1 } }
+      })
+    ]);
+
+    // Reward tokens for engagement
+    await tokenService.rewardEngagement(req.user.id, video.id, 'LIKE');
+
+    res.json({
+      status: 'success',
+      data: {
+        like,
+        video: updatedVideo
+      }
+    });
+  } catch (error) {
+    logger.error('Error liking video:', error);
+    res.status(500).json({ error: 'Failed to like video' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{videoId}/watch-time:
+ *   post:
+ *     summary: Reward watch time for a video
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the video
+ *       - in: body
+ *         required: true
+ *         schema:
+ *           type: object
+ *           required:
+ *             - seconds
+ *           properties:
+ *             seconds:
+ *               type: number
+ *               description: Seconds watched, counted up to the video's duration
+ *     responses:
+ *       200:
+ *         description: Watch time rewarded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reward:
+ *                       type: integer
+ *       400:
+ *         description: Invalid watch time
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Video not found
+ */
+router.post('/:videoId/watch-time', authenticateToken, validateWatchTime, async (req, res) => {
+  try {
+    if (!validationResult(req).isEmpty()) {
+      return res.status(400).json({ error: 'Invalid watch time' });
+    }
+
+    const video = await prisma.video.findUnique({
+      where: { id: req.params.videoId }
+    });
+
+    if (!video || !(await visibilityService.canView(video, req.user.id))) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const seconds = videoService.getWatchedSeconds(video, req.body.seconds);
+    await videoService.recordWatch(req.user.id, video, seconds);
+
+    // Reward tokens for watch time
+    const reward = await tokenService.rewardWatchTime(req.user.id, seconds, req.params.videoId);
+
+    res.json({
+      status: 'success',
+      data: {
+        reward
+      }
+    });
+  } catch (error) {
+    logger.error('Error rewarding watch time:', error);
+    res.status(500).json({ error: 'Failed to reward watch time' });
+  }
+});
+
+// Maps video metadata edit errors to HTTP responses
+const handleVideoEditError = (res, error, fallback) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('Not authorized')) {
+    return res.status(403).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('concurrently')) {
+    return res.status(409).json({ status: 'error', error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({ status: 'error', error: fallback });
+};
+
+/**
+ * @swagger
+ * /api/content/{videoId}:
+ *   patch:
+ *     summary: Edit a video's title, description, tags and visibility
+ *     description: Tags are normalized to lowercase, deduplicated and capped. Hashtags in the description are added to the tags. Unlisted videos return a shareUrl.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the current tags
+ *               visibility:
+ *                 type: string
+ *                 enum: [PUBLIC, UNLISTED, PRIVATE, FOLLOWERS]
+ *                 description: PUBLIC is listed everywhere, UNLISTED only reachable by link, FOLLOWERS only for followers, PRIVATE only for the owner
+ *     responses:
+ *       200:
+ *         description: Updated video metadata
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not the video owner, or a visibility change on a video locked by moderation
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video was edited concurrently, retry
+ */
+router.patch('/:videoId', authenticateToken, validateVideoUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const { title, description, tags, visibility } = req.body;
+    const video = await videoService.updateMetadata(req.params.videoId, req.user.id, {
+      title, description, tags, visibility
+    });
+
+    res.json({
+      status: 'success',
+      data: video
+    });
+  } catch (error) {
+    handleVideoEditError(res, error, 'Failed to update video');
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{videoId}/edits:
+ *   get:
+ *     summary: Get the edit history of a video
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Most recent edits first, each with the changed fields as { from, to }
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video not found
+ */
+router.get('/:videoId/edits', authenticateToken, async (req, res) => {
+  try {
+    const edits = await videoService.getEditHistory(req.params.videoId, req.user.id);
+
+    res.json({
+      status: 'success',
+      data: edits
+    });
+  } catch (error) {
+    handleVideoEditError(res, error, 'Failed to fetch edit history');
+  }
+});
+
+// Maps draft and scheduling errors to HTTP responses
+const handlePublishingError = (res, error, fallback) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('Not authorized')) {
+    return res.status(403).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('already published') ||
+      error.message.includes('not scheduled') ||
+      error.message.includes('concurrently')) {
+    return res.status(409).json({ status: 'error', error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({ status: 'error', error: fallback });
+};
+
+/**
+ * @swagger
+ * /api/content/{videoId}/schedule:
+ *   put:
+ *     summary: Schedule a draft or reschedule a scheduled video
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - publishAt
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Video scheduled
+ *       400:
+ *         description: publishAt is in the past or too far ahead
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is already published
+ *   delete:
+ *     summary: Cancel a scheduled video, turning it back into a draft
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule cancelled, the video is a draft again
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is not scheduled or already published
+ */
+router.put('/:videoId/schedule', authenticateToken, validateSchedule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const video = await publishingService.schedule(req.params.videoId, req.user.id, req.body.publishAt);
+
+    res.json({
+      status: 'success',
+      data: video
+    });
+  } catch (error) {
+    handlePublishingError(res, error, 'Failed to schedule video');
+  }
+});
+
+router.delete('/:videoId/schedule', authenticateToken, async (req, res) => {
+  try {
+    const video = await publishingService.cancelSchedule(req.params.videoId, req.user.id);
+
+    res.json({
+      status: 'success',
+      data: video
+    });
+  } catch (error) {
+    handlePublishingError(res, error, 'Failed to cancel scheduled video');
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{videoId}/publish:
+ *   post:
+ *     summary: Publish a draft or scheduled video now
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video published
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is already published
+ */
+router.post('/:videoId/publish', authenticateToken, async (req, res) => {
+  try {
+    const video = await publishingService.publishNow(req.params.videoId, req.user.id);
+
+    res.json({
+      status: 'success',
+      data: video
+    });
+  } catch (error) {
+    handlePublishingError(res, error, 'Failed to publish video');
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{videoId}:
+ *   delete:
+ *     summary: Delete a video
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the video to delete
+ *     responses:
+ *       200:
+ *         description: Video deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Not the video owner
+ *       404:
+ *         description: Video not found
+ */
+router.delete('/:videoId', authenticateToken, async (req, res) => {
+  try {
+    const video = await prisma.video.findUnique({
+      where: { id: req.params.videoId }
+    });
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (video.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized to delete this video' });
+    }
+
+    await videoService.deleteVideo(video.id);
+
+    res.json({ message: 'Video deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting video:', error);
+    res.status(500).json({ error: 'Failed to delete video' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/tokens/balance:
+ *   get:
+ *     summary: Get user's token balance
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User's token balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     balance:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/tokens/balance', authenticateToken, async (req, res) => {
+  try {
+    const balance = await tokenService.getTokenBalance(req.user.id);
+    
+    res.json({
+      status: 'success',
+      data: {
+        balance
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting token balance:', error);
+    res.status(500).json({ error: 'Failed to get token balance' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/tokens/history:
+ *   get:
+ *     summary: Get user's token transaction history
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of transactions to return
+ *     responses:
+ *       200:
+ *         description: User's token transaction history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transactions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           amount:
+ *                             type: integer
+ *                           type:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                           updatedAt:
+ *                             type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/tokens/history', authenticateToken, async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const transactions = await tokenService.getTransactionHistory(req.user.id, parseInt(limit) || 10);
+    
+    res.json({
+      status: 'success',
+      data: {
+        transactions
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting transaction history:', error);
+    res.status(500).json({ error: 'Failed to get transaction history' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/watch/{videoId}:
+ *   post:
+ *     summary: Record video watch time and reward tokens
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the video being watched
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - watchTime
+ *             properties:
+ *               watchTime:
+ *                 type: number
+ *                 description: Time spent watching the video in seconds, counted up to its duration
+ *     responses:
+ *       200:
+ *         description: Watch time recorded and tokens rewarded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tokensEarned:
+ *                       type: number
+ *                       description: Number of tokens earned
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/watch/:videoId', authenticateToken, validateWatch, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!validationResult(req).isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid watch time'
+      });
+    }
+
+    // Verify video exists
+    const video = await prisma.video.findUnique({
+      where: { id: videoId }
+    });
+
+    if (!video || !(await visibilityService.canView(video, req.user.id))) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Video not found'
+      });
+    }
+
+    // Don't reward tokens if user is watching their own video
+    if (video.userId === req.user.id) {
+      return res.json({
+        status: 'success',
+        data: { tokensEarned: 0 }
+      });
+    }
+
+    const watchTime = videoService.getWatchedSeconds(video, req.body.watchTime);
+    await videoService.recordWatch(req.user.id, video, watchTime);
+
+    // Reward tokens for watch time
+    const tokensEarned = await tokenService.rewardWatchTime(
+      req.user.id,
+      watchTime,
+      videoId
+    );
+
+    res.json({
+      status: 'success',
+      data: { tokensEarned }
+    });
+  } catch (error) {
+    logger.error('Error recording watch time:', error);
+    res.status(500).json({
+      status: 'error',
+      error: error.message || 'Failed to record watch time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{videoId}/comments:
+ *   get:
+ *     summary: Get comments for a video
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *       404:
+ *         description: Video not found
+ */
+router.get('/:videoId/comments', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit = 10 } = req.query;
+    const comments = await commentService.getComments(
+      req.params.videoId,
+      cursor,
+      parseInt(limit),
+      req.user.id
+    );
+
+    res.json({
+      status: 'success',
+      data: comments
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error fetching comments:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to fetch comments',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{videoId}/comments:
+ *   post:
+ *     summary: Add a comment to a video
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *       404:
+ *         description: Video not found
+ */
+router.post('/:videoId/comments', authenticateToken, async (req, res) => {
+  try {
+    const { content } = req.body;
+    
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Comment content is required'
+      });
+    }
+
+    const comment = await commentService.addComment(
+      req.user.id,
+      req.params.videoId,
+      content.trim()
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: comment
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error adding comment:', error);
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to add comment',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ */
+router.delete('/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    await commentService.deleteComment(req.user.id, req.params.commentId);
+    
+    res.json({
+      status: 'success',
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting comment:', error);
+    if (error.message.includes('Unauthorized')) {
+      return res.status(403).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to delete comment',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/comments/{commentId}/like:
  *   post:
- *     summary: Reward watch time for a video
+ *     summary: Like a comment
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: videoId
+ *         name: commentId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the video
- *       - in: body
- *         required: true
- *         schema:
- *           type: object
- *           required:
- *             - seconds
- *           properties:
- *             seconds:
- *               type: integer
  *     responses:
  *       200:
- *         description: Watch time rewarded successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 data:
- *                   type: object
- *                   properties:
- *                     reward:
- *                       type: integer
- *       401:
- *         description: Unauthorized
- *       404:
- *         description: Video not found
+ *         description: Comment liked successfully
  */
-router.post('/:videoId/watch-time', authenticateToken, async (req, res) => {
+router.post('/comments/:commentId/like', authenticateToken, async (req, res) => {
   try {
-    const { seconds } = req.body;
-    const video = await prisma.video.findUnique({
-      where: { id: req.params.videoId }
-    });
-
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
-
-    // Reward tokens for watch time
-    const reward = await tokenService.rewardWatchTime(req.user.id, seconds, req.params.videoId);
-
+    const stats = await commentService.likeComment(req.user.id, req.params.commentId);
+    
     res.json({
       status: 'success',
-      data: {
-        reward
-      }
+      data: stats
     });
   } catch (error) {
-    logger.error('Error rewarding watch time:', error);
-    res.status(500).json({ error: 'Failed to reward watch time' });
+    logger.error('Error liking comment:', error);
+    if (error.message.includes('already liked')) {
+      return res.status(400).json({
+        status: 'error',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      error: 'Failed to like comment',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
 });
 
 /**
  * @swagger
- * /api/content/{videoId}:
- *   delete:
- *     summary: Delete a video
+ * /api/content/{videoId}/thumbnail:
+ *   get:
+ *     summary: Get video thumbnail
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
+ *       - {}
  *     parameters:
  *       - in: path
  *         name: videoId
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the video to delete
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Signed playback token from playback.thumbnailUrl, replaces the bearer token
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [grid, poster]
+ *           default: grid
+ *         description: grid for feed tiles, poster for the full-screen cover
  *     responses:
  *       200:
- *         description: Video deleted successfully
+ *         description: Thumbnail image
  *         content:
- *           application/json:
+ *           image/jpeg:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *       401:
- *         description: Unauthorized
+ *               type: string
+ *               format: binary
  *       403:
- *         description: Forbidden - Not the video owner
+ *         description: Invalid, expired or revoked playback token
  *       404:
- *         description: Video not found
+ *         description: Thumbnail not found
  */
-router.delete('/:videoId', authenticateToken, async (req, res) => {
-  try {
-    const video = await prisma.video.findUnique({
-      where: { id: req.params.videoId }
-    });
-
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
-
-    if (video.userId !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this video' });
-    }
-
-    await prisma.video.delete({
-      where: { id: video.id }
-    });
+router.get('/:videoId/thumbnail', authorizePlayback('thumbnail'), contentController.getThumbnail);
 
-    res.json({ message: 'Video deleted successfully' });
-  } catch (error) {
-    logger.error('Error deleting video:', error);
-    res.status(500).json({ error: 'Failed to delete video' });
+// Maps cover errors to HTTP responses
+const handleCoverError = (res, error, fallback) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ status: 'error', error: error.message });
   }
-});
+  if (error.message.includes('Not authorized')) {
+    return res.status(403).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('still processing')) {
+    return res.status(409).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('Invalid candidate')) {
+    return res.status(400).json({ status: 'error', error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({ status: 'error', error: fallback });
+};
 
 /**
  * @swagger
- * /api/content/tokens/balance:
+ * /api/content/{videoId}/thumbnails:
  *   get:
- *     summary: Get user's token balance
+ *     summary: List the cover candidates of a video
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: User's token balance retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 data:
- *                   type: object
- *                   properties:
- *                     balance:
- *                       type: integer
- *       401:
- *         description: Unauthorized
+ *         description: Candidate frames and the index of the one used as cover, null for a custom cover
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is still processing
  */
-router.get('/tokens/balance', authenticateToken, async (req, res) => {
+router.get('/:videoId/thumbnails', authenticateToken, async (req, res) => {
   try {
-    const balance = await tokenService.getTokenBalance(req.user.id);
-    
+    const candidates = await thumbnailService.listCandidates(req.params.videoId, req.user.id);
+
     res.json({
       status: 'success',
-      data: {
-        balance
-      }
+      data: candidates
     });
   } catch (error) {
-    logger.error('Error getting token balance:', error);
-    res.status(500).json({ error: 'Failed to get token balance' });
+    handleCoverError(res, error, 'Failed to list cover candidates');
   }
 });
 
 /**
  * @swagger
- * /api/content/tokens/history:
+ * /api/content/{videoId}/thumbnails/{index}:
  *   get:
- *     summary: Get user's token transaction history
+ *     summary: Get one cover candidate image
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: limit
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: index
+ *         required: true
  *         schema:
  *           type: integer
- *           default: 10
- *         description: Number of transactions to return
  *     responses:
  *       200:
- *         description: User's token transaction history retrieved successfully
+ *         description: Candidate image
  *         content:
- *           application/json:
+ *           image/jpeg:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 data:
- *                   type: object
- *                   properties:
- *                     transactions:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           id:
- *                             type: string
- *                           amount:
- *                             type: integer
- *                           type:
- *                             type: string
- *                           createdAt:
- *                             type: string
- *                           updatedAt:
- *                             type: string
- *       401:
- *         description: Unauthorized
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid candidate index
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video not found
  */
-router.get('/tokens/history', authenticateToken, async (req, res) => {
+router.get('/:videoId/thumbnails/:index', authenticateToken, async (req, res) => {
   try {
-    const { limit } = req.query;
-    const transactions = await tokenService.getTransactionHistory(req.user.id, parseInt(limit) || 10);
-    
-    res.json({
-      status: 'success',
-      data: {
-        transactions
-      }
-    });
+    const stream = await thumbnailService.getCandidateStream(req.params.videoId, req.user.id, Number(req.params.index));
+
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    stream.pipe(res);
   } catch (error) {
-    logger.error('Error getting transaction history:', error);
-    res.status(500).json({ error: 'Failed to get transaction history' });
+    handleCoverError(res, error, 'Failed to serve cover candidate');
   }
 });
 
 /**
  * @swagger
- * /api/content/watch/{videoId}:
- *   post:
- *     summary: Record video watch time and reward tokens
+ * /api/content/{videoId}/cover:
+ *   put:
+ *     summary: Set a video's cover
+ *     description: Send JSON with the index of a candidate frame, or multipart/form-data with a custom cover image. The cover is stored in grid and poster sizes.
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
@@ -666,148 +2021,184 @@ router.get('/tokens/history', authenticateToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: ID of the video being watched
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - watchTime
  *             properties:
- *               watchTime:
- *                 type: number
- *                 description: Time spent watching the video in seconds
+ *               candidate:
+ *                 type: integer
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cover:
+ *                 type: string
+ *                 format: binary
  *     responses:
  *       200:
- *         description: Watch time recorded and tokens rewarded
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: success
- *                 data:
- *                   type: object
- *                   properties:
- *                     tokensEarned:
- *                       type: number
- *                       description: Number of tokens earned
+ *         description: Cover updated
  *       400:
- *         description: Invalid input
- *       401:
- *         description: Unauthorized
- */
-router.post('/watch/:videoId', authenticateToken, async (req, res) => {
-  try {
-    const { videoId } = req.params;
-    const { watchTime } = req.body;
-
-    if (!watchTime || watchTime < 0) {
-      return res.status(400).json({
-        status: 'error',
-        error: 'Invalid watch time'
-      });
+ *         description: No image or invalid candidate
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is still processing
+ *       413:
+ *         description: Cover image too large
+ */
+router.put('/:videoId/cover', authenticateToken, singleFile(coverUpload, 'cover', thumbnailConfig.maxCoverSize), async (req, res) => {
+  try {
+    let video;
+    if (req.file) {
+      video = await thumbnailService.setCustomCover(req.params.videoId, req.user.id, req.file);
+    } else if (req.body.candidate !== undefined) {
+      video = await thumbnailService.selectCandidate(req.params.videoId, req.user.id, Number(req.body.candidate));
+    } else {
+      return res.status(400).json({ status: 'error', error: 'Provide a candidate index or a cover image' });
     }
 
-    // Verify video exists
-    const video = await prisma.video.findUnique({
-      where: { id: videoId }
+    res.json({
+      status: 'success',
+      data: video
     });
+  } catch (error) {
+    handleCoverError(res, error, 'Failed to update cover');
+  }
+});
 
-    if (!video) {
-      return res.status(404).json({
-        status: 'error',
-        error: 'Video not found'
-      });
-    }
+// Maps caption errors to HTTP responses
+const handleCaptionError = (res, error, fallback) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('Not authorized')) {
+    return res.status(403).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('still processing') || error.message.includes('limit reached')) {
+    return res.status(409).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('Invalid caption file')) {
+    return res.status(400).json({ status: 'error', error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({ status: 'error', error: fallback });
+};
 
-    // Don't reward tokens if user is watching their own video
-    if (video.userId === req.user.id) {
-      return res.json({
-        status: 'success',
-        data: { tokensEarned: 0 }
-      });
-    }
+// Caption text of a request, from the uploaded file or the content field
+const getCaptionContent = (req) => {
+  if (req.file) {
+    return {
+      content: req.file.buffer.toString('utf8'),
+      format: path.extname(req.file.originalname).slice(1).toLowerCase()
+    };
+  }
+  return { content: req.body.content, format: req.body.format };
+};
 
-    // Reward tokens for watch time
-    const tokensEarned = await tokenService.rewardWatchTime(
-      req.user.id,
-      watchTime,
-      videoId
-    );
+/**
+ * @swagger
+ * /api/content/{videoId}/captions:
+ *   get:
+ *     summary: List the caption tracks of a video
+ *     description: Tracks are also listed in the video metadata, with signed URLs under playback.captions, and in the HLS master playlist.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Caption tracks ordered by language
+ *       404:
+ *         description: Video not found
+ */
+router.get('/:videoId/captions', authenticateToken, async (req, res) => {
+  try {
+    await visibilityService.assertCanView(req.params.videoId, req.user.id);
+    const tracks = await captionService.listTracks(req.params.videoId);
 
     res.json({
       status: 'success',
-      data: { tokensEarned }
+      data: tracks
     });
   } catch (error) {
-    logger.error('Error recording watch time:', error);
-    res.status(500).json({
-      status: 'error',
-      error: error.message || 'Failed to record watch time'
-    });
+    handleCaptionError(res, error, 'Failed to list caption tracks');
   }
 });
 
 /**
  * @swagger
- * /api/content/{videoId}/comments:
+ * /api/content/{videoId}/captions/{language}:
  *   get:
- *     summary: Get comments for a video
+ *     summary: Get a caption track as WebVTT
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
+ *       - {}
  *     parameters:
  *       - in: path
  *         name: videoId
  *         required: true
  *         schema:
  *           type: string
- *       - in: query
- *         name: cursor
+ *       - in: path
+ *         name: language
+ *         required: true
  *         schema:
  *           type: string
+ *           example: en
  *       - in: query
- *         name: limit
+ *         name: token
  *         schema:
- *           type: integer
- *           default: 10
+ *           type: string
+ *         description: Signed playback token from playback.captions, replaces the bearer token
  *     responses:
  *       200:
- *         description: Comments retrieved successfully
+ *         description: WebVTT caption track
+ *         content:
+ *           text/vtt:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Invalid, expired or revoked playback token
+ *       404:
+ *         description: Video or caption track not found
  */
-router.get('/:videoId/comments', authenticateToken, async (req, res) => {
+router.get('/:videoId/captions/:language', authorizePlayback('captions'), async (req, res) => {
   try {
-    const { cursor, limit = 10 } = req.query;
-    const comments = await commentService.getComments(
-      req.params.videoId,
-      cursor,
-      parseInt(limit)
-    );
+    const stream = await captionService.getTrackFile(req.params.videoId, req.params.language);
 
-    res.json({
-      status: 'success',
-      data: comments
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    stream.on('error', (error) => {
+      logger.error('Error streaming caption track:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ status: 'error', error: 'Error streaming caption track' });
+      } else {
+        res.end();
+      }
     });
+    stream.pipe(res);
   } catch (error) {
-    logger.error('Error fetching comments:', error);
-    res.status(500).json({
-      status: 'error',
-      error: 'Failed to fetch comments',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    handleCaptionError(res, error, 'Failed to serve caption track');
   }
 });
 
 /**
  * @swagger
- * /api/content/{videoId}/comments:
- *   post:
- *     summary: Add a comment to a video
+ * /api/content/{videoId}/captions/{language}:
+ *   put:
+ *     summary: Add or replace the caption track of a language
+ *     description: Send multipart/form-data with a .vtt or .srt file, or JSON with the caption text in content. SRT is converted to WebVTT.
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
@@ -817,165 +2208,187 @@ router.get('/:videoId/comments', authenticateToken, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: pt-BR
+ *         description: BCP 47 language tag
  *     requestBody:
  *       required: true
  *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               label:
+ *                 type: string
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - content
  *             properties:
  *               content:
  *                 type: string
+ *               format:
+ *                 type: string
+ *                 enum: [vtt, srt]
+ *                 description: Detected from the content when omitted
+ *               label:
+ *                 type: string
+ *                 description: Defaults to the language name
  *     responses:
- *       201:
- *         description: Comment added successfully
+ *       200:
+ *         description: Caption track saved
+ *       400:
+ *         description: Missing or invalid caption file
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video not found
+ *       409:
+ *         description: Video is still processing or has too many tracks
+ *       413:
+ *         description: Caption file too large
  */
-router.post('/:videoId/comments', authenticateToken, async (req, res) => {
+router.put('/:videoId/captions/:language', authenticateToken, singleFile(captionUpload, 'file', captionConfig.maxFileSize), validateCaptionTrack, async (req, res) => {
   try {
-    const { content } = req.body;
-    
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({
-        status: 'error',
-        error: 'Comment content is required'
-      });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
     }
 
-    const comment = await commentService.addComment(
-      req.user.id,
-      req.params.videoId,
-      content.trim()
-    );
+    const { content, format } = getCaptionContent(req);
+    if (!content) {
+      return res.status(400).json({ status: 'error', error: 'Provide a caption file or content' });
+    }
 
-    res.status(201).json({
+    const track = await captionService.saveTrack(req.params.videoId, req.user.id, req.params.language, {
+      content,
+      format,
+      label: req.body.label
+    });
+
+    res.json({
       status: 'success',
-      data: comment
+      data: track
     });
   } catch (error) {
-    logger.error('Error adding comment:', error);
-    res.status(500).json({
-      status: 'error',
-      error: 'Failed to add comment',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    handleCaptionError(res, error, 'Failed to save caption track');
   }
 });
 
 /**
  * @swagger
- * /api/content/comments/{commentId}:
- *   delete:
- *     summary: Delete a comment
+ * /api/content/{videoId}/captions/{language}:
+ *   patch:
+ *     summary: Edit the label or text of a caption track
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: commentId
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: language
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               format:
+ *                 type: string
+ *                 enum: [vtt, srt]
  *     responses:
  *       200:
- *         description: Comment deleted successfully
+ *         description: Caption track updated
+ *       400:
+ *         description: Nothing to update or invalid caption text
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video or caption track not found
  */
-router.delete('/comments/:commentId', authenticateToken, async (req, res) => {
+router.patch('/:videoId/captions/:language', authenticateToken, validateCaptionTrack, async (req, res) => {
   try {
-    await commentService.deleteComment(req.user.id, req.params.commentId);
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const { label, content, format } = req.body;
+    if (label === undefined && content === undefined) {
+      return res.status(400).json({ status: 'error', error: 'Provide a label or content to update' });
+    }
+
+    const track = await captionService.updateTrack(req.params.videoId, req.user.id, req.params.language, {
+      label,
+      content,
+      format
+    });
+
     res.json({
       status: 'success',
-      message: 'Comment deleted successfully'
+      data: track
     });
   } catch (error) {
-    logger.error('Error deleting comment:', error);
-    if (error.message.includes('Unauthorized')) {
-      return res.status(403).json({
-        status: 'error',
-        error: error.message
-      });
-    }
-    if (error.message.includes('not found')) {
-      return res.status(404).json({
-        status: 'error',
-        error: error.message
-      });
-    }
-    res.status(500).json({
-      status: 'error',
-      error: 'Failed to delete comment',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    handleCaptionError(res, error, 'Failed to update caption track');
   }
 });
 
 /**
  * @swagger
- * /api/content/comments/{commentId}/like:
- *   post:
- *     summary: Like a comment
+ * /api/content/{videoId}/captions/{language}:
+ *   delete:
+ *     summary: Delete a caption track
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: commentId
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: language
  *         required: true
  *         schema:
  *           type: string
  *     responses:
  *       200:
- *         description: Comment liked successfully
+ *         description: Caption track deleted
+ *       403:
+ *         description: Not the video owner
+ *       404:
+ *         description: Video or caption track not found
  */
-router.post('/comments/:commentId/like', authenticateToken, async (req, res) => {
+router.delete('/:videoId/captions/:language', authenticateToken, async (req, res) => {
   try {
-    const stats = await commentService.likeComment(req.user.id, req.params.commentId);
-    
+    await captionService.deleteTrack(req.params.videoId, req.user.id, req.params.language);
+
     res.json({
       status: 'success',
-      data: stats
+      message: 'Caption track deleted'
     });
   } catch (error) {
-    logger.error('Error liking comment:', error);
-    if (error.message.includes('already liked')) {
-      return res.status(400).json({
-        status: 'error',
-        error: error.message
-      });
-    }
-    res.status(500).json({
-      status: 'error',
-      error: 'Failed to like comment',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    handleCaptionError(res, error, 'Failed to delete caption track');
   }
 });
 
-/**
- * @swagger
- * /api/content/{videoId}/thumbnail:
- *   get:
- *     summary: Get video thumbnail
- *     tags: [Content]
- *     parameters:
- *       - in: path
- *         name: videoId
- *         required: true
- *         schema:
- *           type: string
- *     responses:
- *       200:
- *         description: Thumbnail image
- *         content:
- *           image/jpeg:
- *             schema:
- *               type: string
- *               format: binary
- *       404:
- *         description: Thumbnail not found
- */
-router.get('/:videoId/thumbnail', contentController.getThumbnail);
-
-module.exports = router; 
\ No newline at end of file
+module.exports = router;  
\ No newline at end of file
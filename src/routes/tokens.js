@@ -3,7 +3,7 @@ const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const logger = require('../utils/logger');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, isInfluencer } = require('../middleware/auth');
 // const Redis = require('redis');
 const tokenService = require('../services/tokenService');
 
@@ -181,17 +181,13 @@ router.get('/transactions', authenticateToken, async (req, res) => {
  *       403:
  *         description: Forbidden - Not an influencer
  */
-router.post('/withdraw', authenticateToken, async (req, res) => {
+router.post('/withdraw', authenticateToken, isInfluencer, async (req, res) => {
   try {
     const { amount } = req.body;
     const user = await prisma.user.findUnique({
       where: { id: req.user.id }
     });
 
-    if (!user.isInfluencer) {
-      return res.status(403).json({ error: 'Only influencers can withdraw tokens' });
-    }
-
     if (user.tokenBalance < amount) {
       return res.status(400).json({ error: 'Insufficient token balance' });
     }
@@ -254,16 +250,12 @@ router.post('/withdraw', authenticateToken, async (req, res) => {
  *       403:
  *         description: Forbidden - Not an influencer
  */
-router.get('/earnings', authenticateToken, async (req, res) => {
+router.get('/earnings', authenticateToken, isInfluencer, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id }
     });
 
-    if (!user.isInfluencer) {
-      return res.status(403).json({ error: 'Only influencers can view earnings' });
-    }
-
     const withdrawals = await prisma.transaction.findMany({
       where: {
         userId: user.id,
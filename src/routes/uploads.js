@@ -0,0 +1,459 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const uploadSessionService = require('../services/uploadSessionService');
+const config = require('../configs/upload-config');
+const metadataConfig = require('../configs/metadata-config');
+const visibilityConfig = require('../configs/visibility-config');
+const { isSchedulablePublishAt, validateTrim } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Raw chunk bodies, capped at the configured chunk size
+const readChunk = (req, res, next) => {
+  express.raw({ type: 'application/offset+octet-stream', limit: config.maxChunkSize })(req, res, (error) => {
+    if (error && error.type === 'entity.too.large') {
+      return res.status(413).json({
+        status: 'error',
+        error: `Chunk too large, the maximum chunk size is ${config.maxChunkSize} bytes`
+      });
+    }
+    next(error);
+  });
+};
+
+const setUploadHeaders = (res, upload) => {
+  res.setHeader('Upload-Offset', upload.offset);
+  res.setHeader('Upload-Length', upload.size);
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+const validateUploadRequest = [
+  body('fileName').isString().trim().notEmpty().withMessage('File name is required'),
+  body('mimeType').isString().matches(/^video\//).withMessage('Only video files are allowed'),
+  body('size').isInt({ min: 1 }).withMessage('Size must be a positive number of bytes').toInt(),
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: metadataConfig.titleMinLength, max: metadataConfig.titleMaxLength })
+    .withMessage(`Title must be between ${metadataConfig.titleMinLength} and ${metadataConfig.titleMaxLength} characters`),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: metadataConfig.descriptionMaxLength })
+    .withMessage(`Description must be at most ${metadataConfig.descriptionMaxLength} characters`),
+  body('visibility')
+    .optional()
+    .isIn(visibilityConfig.visibilities)
+    .withMessage(`Visibility must be one of: ${visibilityConfig.visibilities.join(', ')}`),
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('draft must be a boolean')
+    .toBoolean(),
+  body('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('publishAt must be an ISO 8601 timestamp')
+    .bail()
+    .custom(isSchedulablePublishAt)
+    .toDate(),
+  body('normalizeAudio')
+    .optional()
+    .isBoolean()
+    .withMessage('normalizeAudio must be a boolean')
+    .toBoolean(),
+  ...validateTrim
+];
+
+// Maps upload session errors to HTTP responses
+const handleUploadError = (res, error, fallback) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('expired')) {
+    return res.status(410).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('offset mismatch') ||
+      error.message.includes('incomplete') ||
+      error.message.includes('already')) {
+    return res.status(409).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('too large')) {
+    return res.status(413).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('Checksum mismatch')) {
+    return res.status(460).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('Invalid chunk') ||
+      error.message.includes('Invalid upload') ||
+      error.message.includes('Invalid trim') ||
+      error.message.includes('Invalid file') ||
+      error.message.includes('too long') ||
+      error.message.includes('Unsupported checksum')) {
+    return res.status(400).json({ status: 'error', error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({ status: 'error', error: fallback });
+};
+
+/**
+ * @swagger
+ * /api/content/uploads:
+ *   post:
+ *     summary: Start a resumable video upload
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileName
+ *               - mimeType
+ *               - size
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *                 example: video/mp4
+ *               size:
+ *                 type: integer
+ *                 description: Total size of the file in bytes
+ *               title:
+ *                 type: string
+ *                 description: Video title, defaults to the file name
+ *               description:
+ *                 type: string
+ *                 description: Video description, hashtags become tags
+ *               visibility:
+ *                 type: string
+ *                 enum: [PUBLIC, UNLISTED, PRIVATE, FOLLOWERS]
+ *                 default: PUBLIC
+ *               draft:
+ *                 type: boolean
+ *                 description: Keep the video as a draft until it is published
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish the video automatically at this time
+ *               start:
+ *                 type: number
+ *                 description: Start of the clip to publish, in seconds of the original
+ *               end:
+ *                 type: number
+ *                 description: End of the clip to publish, in seconds of the original. The clip must fit the maximum duration of the uploader's role.
+ *               normalizeAudio:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Normalize loudness to the platform target, turn off to keep a music mix as uploaded
+ *     responses:
+ *       201:
+ *         description: Upload session created, send chunks starting at offset 0
+ *       400:
+ *         description: Invalid input or trim points selecting too long a clip
+ *       413:
+ *         description: File is larger than the maximum video size
+ */
+router.post('/', validateUploadRequest, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const { fileName, mimeType, size, title, description, visibility, draft, publishAt, start, end, normalizeAudio } = req.body;
+    const upload = await uploadSessionService.createSession(req.user.id, {
+      fileName, mimeType, size, title, description, visibility, draft, publishAt, trimStart: start, trimEnd: end, normalizeAudio
+    });
+
+    setUploadHeaders(res, upload);
+    res.setHeader('Location', `${req.baseUrl}/${upload.id}`);
+    res.status(201).json({
+      status: 'success',
+      data: upload
+    });
+  } catch (error) {
+    handleUploadError(res, error, 'Failed to create upload session');
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/uploads/direct:
+ *   post:
+ *     summary: Get a presigned URL to upload a video straight to storage
+ *     description: PUT the file to uploadUrl with the returned headers, then call finalize.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileName
+ *               - mimeType
+ *               - size
+ *             properties:
+ *               fileName:
+ *                 type: string
+ *               mimeType:
+ *                 type: string
+ *                 example: video/mp4
+ *               size:
+ *                 type: integer
+ *                 description: Total size of the file in bytes
+ *               title:
+ *                 type: string
+ *                 description: Video title, defaults to the file name
+ *               description:
+ *                 type: string
+ *                 description: Video description, hashtags become tags
+ *               visibility:
+ *                 type: string
+ *                 enum: [PUBLIC, UNLISTED, PRIVATE, FOLLOWERS]
+ *                 default: PUBLIC
+ *               draft:
+ *                 type: boolean
+ *                 description: Keep the video as a draft until it is published
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Publish the video automatically at this time
+ *               start:
+ *                 type: number
+ *                 description: Start of the clip to publish, in seconds of the original
+ *               end:
+ *                 type: number
+ *                 description: End of the clip to publish, in seconds of the original. The clip must fit the maximum duration of the uploader's role.
+ *               normalizeAudio:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Normalize loudness to the platform target, turn off to keep a music mix as uploaded
+ *     responses:
+ *       201:
+ *         description: Upload session created with uploadUrl, method, headers and urlExpiresAt
+ *       400:
+ *         description: Invalid input or trim points selecting too long a clip
+ *       413:
+ *         description: File is larger than the maximum video size
+ */
+router.post('/direct', validateUploadRequest, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const { fileName, mimeType, size, title, description, visibility, draft, publishAt, start, end, normalizeAudio } = req.body;
+    const upload = await uploadSessionService.createDirectUpload(req.user.id, {
+      fileName, mimeType, size, title, description, visibility, draft, publishAt, trimStart: start, trimEnd: end, normalizeAudio
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: upload
+    });
+  } catch (error) {
+    handleUploadError(res, error, 'Failed to create direct upload');
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/uploads/{uploadId}:
+ *   head:
+ *     summary: Get the current offset of a resumable upload
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offset and length in the Upload-Offset and Upload-Length headers
+ *       404:
+ *         description: Upload session not found
+ */
+router.head('/:uploadId', async (req, res) => {
+  try {
+    const upload = await uploadSessionService.getStatus(req.params.uploadId, req.user.id);
+
+    setUploadHeaders(res, upload);
+    res.status(200).end();
+  } catch (error) {
+    res.status(error.message.includes('not found') ? 404 : 500).end();
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/uploads/{uploadId}:
+ *   get:
+ *     summary: Get the status of a resumable upload
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Upload status, including the offset to resume from
+ *       404:
+ *         description: Upload session not found
+ */
+router.get('/:uploadId', async (req, res) => {
+  try {
+    const upload = await uploadSessionService.getStatus(req.params.uploadId, req.user.id);
+
+    setUploadHeaders(res, upload);
+    res.json({
+      status: 'success',
+      data: upload
+    });
+  } catch (error) {
+    handleUploadError(res, error, 'Failed to fetch upload status');
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/uploads/{uploadId}:
+ *   patch:
+ *     summary: Append a chunk to a resumable upload
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         description: Byte offset of this chunk, must equal the current offset
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: Upload-Checksum
+ *         required: true
+ *         description: Checksum of the chunk as "<algorithm> <base64 digest>", sha256 or md5
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Chunk stored, returns the new offset
+ *       400:
+ *         description: Invalid chunk or checksum header
+ *       409:
+ *         description: Offset does not match the current upload offset
+ *       410:
+ *         description: Upload session has expired
+ *       413:
+ *         description: Chunk larger than the maximum chunk size
+ *       460:
+ *         description: Checksum mismatch, resend the chunk
+ */
+router.patch('/:uploadId', readChunk, async (req, res) => {
+  try {
+    const offset = parseInt(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ status: 'error', error: 'Upload-Offset header is required' });
+    }
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Chunks must be sent as application/offset+octet-stream'
+      });
+    }
+
+    const upload = await uploadSessionService.appendChunk(
+      req.params.uploadId,
+      req.user.id,
+      offset,
+      req.body,
+      req.get('Upload-Checksum')
+    );
+
+    setUploadHeaders(res, upload);
+    res.json({
+      status: 'success',
+      data: upload
+    });
+  } catch (error) {
+    handleUploadError(res, error, 'Failed to store chunk');
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/uploads/{uploadId}/finalize:
+ *   post:
+ *     summary: Complete a resumable or direct upload and queue the video for processing
+ *     description: For direct uploads the stored object must exist and match the declared size and type.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Video created with status QUEUED, watch GET /api/content/{videoId}/status or the videoProcessed socket event
+ *       400:
+ *         description: Stored file does not match the declared size or type, or the clip is longer than allowed
+ *       409:
+ *         description: Upload incomplete or already finalized
+ *       410:
+ *         description: Upload session has expired
+ */
+router.post('/:uploadId/finalize', async (req, res) => {
+  try {
+    const { upload, video } = await uploadSessionService.finalize(req.params.uploadId, req.user.id);
+
+    res.json({
+      status: 'success',
+      data: {
+        upload,
+        video,
+        message: 'Video uploaded, processing has been queued'
+      }
+    });
+  } catch (error) {
+    handleUploadError(res, error, 'Failed to finalize upload');
+  }
+});
+
+module.exports = router;
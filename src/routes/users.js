@@ -0,0 +1,439 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { singleFile } = require('../middleware/upload');
+const profileService = require('../services/profileService');
+const followService = require('../services/followService');
+const config = require('../configs/profile-config');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Avatars are small, keep them in memory until they are resized
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.maxAvatarSize
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed'));
+    }
+  }
+});
+
+const validateProfileUpdate = [
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  body('displayName')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: config.displayNameMaxLength })
+    .withMessage(`Display name must be at most ${config.displayNameMaxLength} characters`),
+  body('bio')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: config.bioMaxLength })
+    .withMessage(`Bio must be at most ${config.bioMaxLength} characters`),
+  body('links')
+    .optional()
+    .isArray({ max: config.maxLinks })
+    .withMessage(`Links must be an array of at most ${config.maxLinks} URLs`),
+  body('links.*')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Each link must be a valid http(s) URL')
+];
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   patch:
+ *     summary: Update the current user's profile
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 description: Can only be changed once per cooldown period
+ *               displayName:
+ *                 type: string
+ *               bio:
+ *                 type: string
+ *               links:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: Username already taken
+ *       429:
+ *         description: Username changed too recently
+ */
+router.patch('/me', authenticateToken, validateProfileUpdate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const { username, displayName, bio, links } = req.body;
+    const profile = await profileService.updateProfile(req.user.id, { username, displayName, bio, links });
+
+    res.json({
+      status: 'success',
+      data: profile
+    });
+  } catch (error) {
+    if (error.message.includes('already taken')) {
+      return res.status(409).json({ status: 'error', error: error.message });
+    }
+    if (error.message.includes('can only be changed')) {
+      return res.status(429).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error updating profile:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to update profile' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/me/avatar:
+ *   put:
+ *     summary: Upload a new avatar image
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar updated, cropped to a square and resized
+ *       400:
+ *         description: No image provided, not an image, or the image could not be decoded
+ *       404:
+ *         description: User not found
+ *       413:
+ *         description: Image too large
+ */
+router.put('/me/avatar', authenticateToken, singleFile(avatarUpload, 'avatar', config.maxAvatarSize), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ status: 'error', error: 'No avatar image provided' });
+    }
+
+    const user = await profileService.updateAvatar(req.user.id, req.file);
+
+    res.json({
+      status: 'success',
+      data: user
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    if (error.message.includes('Failed to resize avatar')) {
+      return res.status(400).json({ status: 'error', error: 'Invalid image' });
+    }
+    logger.error('Error updating avatar:', error);
+    res.status(500).json({ status: 'error', error: error.message || 'Failed to update avatar' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/avatar:
+ *   get:
+ *     summary: Get a user's uploaded avatar
+ *     tags: [Users]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Avatar image
+ *         content:
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Avatar not found
+ */
+router.get('/:userId/avatar', async (req, res) => {
+  try {
+    const stream = await profileService.getAvatarStream(req.params.userId);
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    stream.pipe(res);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error serving avatar:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to serve avatar' });
+  }
+});
+
+// Maps follow service errors to HTTP responses
+const handleFollowError = (res, error, fallback) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('cannot follow') ||
+      error.message.includes('Already following') ||
+      error.message.includes('Not following')) {
+    return res.status(400).json({ status: 'error', error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({ status: 'error', error: fallback });
+};
+
+/**
+ * @swagger
+ * /api/users/{userId}/follow:
+ *   post:
+ *     summary: Follow a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Now following, returns the updated relationship
+ *       400:
+ *         description: Already following or trying to follow yourself
+ *       404:
+ *         description: User not found
+ */
+router.post('/:userId/follow', authenticateToken, async (req, res) => {
+  try {
+    const relationship = await followService.follow(req.user.id, req.params.userId);
+
+    res.json({
+      status: 'success',
+      data: relationship
+    });
+  } catch (error) {
+    handleFollowError(res, error, 'Failed to follow user');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/follow:
+ *   delete:
+ *     summary: Unfollow a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unfollowed, returns the updated relationship
+ *       400:
+ *         description: Not following this user
+ */
+router.delete('/:userId/follow', authenticateToken, async (req, res) => {
+  try {
+    const relationship = await followService.unfollow(req.user.id, req.params.userId);
+
+    res.json({
+      status: 'success',
+      data: relationship
+    });
+  } catch (error) {
+    handleFollowError(res, error, 'Failed to unfollow user');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/relationship:
+ *   get:
+ *     summary: Get how the current user and another user follow each other
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: following, followedBy and mutual flags
+ */
+router.get('/:userId/relationship', authenticateToken, async (req, res) => {
+  try {
+    const relationship = await followService.getRelationship(req.user.id, req.params.userId);
+
+    res.json({
+      status: 'success',
+      data: relationship
+    });
+  } catch (error) {
+    handleFollowError(res, error, 'Failed to fetch relationship');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/followers:
+ *   get:
+ *     summary: Get a paginated list of a user's followers
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Followers, each flagged as mutual when the user follows them back
+ */
+router.get('/:userId/followers', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit = 20 } = req.query;
+    const followers = await followService.getFollowers(req.params.userId, cursor, Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      status: 'success',
+      data: followers
+    });
+  } catch (error) {
+    handleFollowError(res, error, 'Failed to fetch followers');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{userId}/following:
+ *   get:
+ *     summary: Get a paginated list of the users someone follows
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Followed users, each flagged as mutual when they follow back
+ */
+router.get('/:userId/following', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit = 20 } = req.query;
+    const following = await followService.getFollowing(req.params.userId, cursor, Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      status: 'success',
+      data: following
+    });
+  } catch (error) {
+    handleFollowError(res, error, 'Failed to fetch following');
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{username}:
+ *   get:
+ *     summary: Get a user's public profile
+ *     tags: [Users]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Public profile with video count, follower counts and badges
+ *       404:
+ *         description: User not found
+ */
+router.get('/:username', async (req, res) => {
+  try {
+    const profile = await profileService.getPublicProfile(req.params.username);
+
+    res.json({
+      status: 'success',
+      data: profile
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ status: 'error', error: error.message });
+    }
+    logger.error('Error fetching public profile:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to fetch profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const walletService = require('../services/walletService');
+const sessionService = require('../services/sessionService');
+const logger = require('../utils/logger');
+const { nonceRateLimitConfig } = require('../configs/rateLimit');
+
+const router = express.Router();
+
+const nonceLimiter = rateLimit(nonceRateLimitConfig);
+
+const validateSiwe = [
+  body('message').isString().notEmpty().withMessage('SIWE message is required'),
+  body('signature').isString().notEmpty().withMessage('Signature is required')
+];
+
+// Maps wallet service errors to HTTP responses
+const handleWalletError = (res, error, fallback) => {
+  if (error.message.startsWith('Invalid')) {
+    return res.status(401).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('not linked') || error.message.includes('not found')) {
+    return res.status(404).json({ status: 'error', error: error.message });
+  }
+  if (error.message.includes('already linked')) {
+    return res.status(409).json({ status: 'error', error: error.message });
+  }
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({ status: 'error', error: fallback });
+};
+
+/**
+ * @swagger
+ * /api/auth/wallet/nonce:
+ *   get:
+ *     summary: Issue a single-use nonce for a Sign-In With Ethereum message
+ *     tags: [Auth]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Nonce plus the domain, URI and chain IDs the message must use
+ *       429:
+ *         description: Too many nonce requests from this IP
+ */
+router.get('/nonce', nonceLimiter, async (req, res) => {
+  try {
+    const nonce = await walletService.issueNonce();
+
+    res.json({
+      status: 'success',
+      data: nonce
+    });
+  } catch (error) {
+    logger.error('Error issuing nonce:', error);
+    res.status(500).json({ status: 'error', error: 'Failed to issue nonce' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/wallet/login:
+ *   post:
+ *     summary: Login with a signed SIWE message from a linked wallet
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *               - signature
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: EIP-4361 message containing a nonce from /nonce
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid message or signature
+ *       404:
+ *         description: Wallet not linked to any account
+ */
+router.post('/login', validateSiwe, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const user = await walletService.loginWithWallet(req.body.message, req.body.signature);
+    const { token, refreshToken } = await sessionService.createSession(user, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        username: user.username,
+        avatar: user.avatar
+      }
+    });
+  } catch (error) {
+    handleWalletError(res, error, 'Failed to login with wallet');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/wallet:
+ *   get:
+ *     summary: List wallets linked to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked wallets
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const wallets = await walletService.listWallets(req.user.id);
+
+    res.json({
+      status: 'success',
+      data: { wallets }
+    });
+  } catch (error) {
+    handleWalletError(res, error, 'Failed to list wallets');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/wallet/link:
+ *   post:
+ *     summary: Link a wallet to the current user with a signed SIWE message
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *               - signature
+ *             properties:
+ *               message:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Wallet linked
+ *       401:
+ *         description: Invalid message or signature
+ *       409:
+ *         description: Wallet already linked to another account
+ */
+router.post('/link', authenticateToken, validateSiwe, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+
+    const wallet = await walletService.linkWallet(req.user.id, req.body.message, req.body.signature);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        wallet: {
+          address: wallet.address,
+          chainId: wallet.chainId,
+          createdAt: wallet.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    handleWalletError(res, error, 'Failed to link wallet');
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/wallet/{address}:
+ *   delete:
+ *     summary: Unlink a wallet from the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wallet unlinked
+ *       404:
+ *         description: Wallet not found
+ */
+router.delete('/:address', authenticateToken, async (req, res) => {
+  try {
+    await walletService.unlinkWallet(req.user.id, req.params.address);
+
+    res.json({
+      status: 'success',
+      message: 'Wallet unlinked successfully'
+    });
+  } catch (error) {
+    if (error.message === 'Invalid wallet address') {
+      return res.status(400).json({ status: 'error', error: error.message });
+    }
+    handleWalletError(res, error, 'Failed to unlink wallet');
+  }
+});
+
+module.exports = router;
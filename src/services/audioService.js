@@ -0,0 +1,124 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const storageClient = require('../configs/storage');
+const videoConfig = require('../configs/video-service-config');
+const config = require('../configs/audio-config');
+
+// loudnorm prints its measurements as a JSON object at the end of the log
+const parseLoudnormStats = (log) => {
+  const blocks = log.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) {
+    throw new Error('loudnorm did not report any measurements');
+  }
+  return JSON.parse(blocks[blocks.length - 1]);
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// EBU R128 loudness normalization with ffmpeg's two-pass loudnorm: the first
+// pass measures the clip, the second applies a single linear gain computed
+// from those measurements, so dynamics are left intact where possible.
+class AudioService {
+  getFilter(measured) {
+    const options = [`I=${config.targetLufs}`, `TP=${config.truePeakDb}`, `LRA=${config.loudnessRange}`];
+    if (measured) {
+      options.push(
+        `measured_I=${measured.input_i}`,
+        `measured_TP=${measured.input_tp}`,
+        `measured_LRA=${measured.input_lra}`,
+        `measured_thresh=${measured.input_thresh}`,
+        `offset=${measured.target_offset}`,
+        'linear=true'
+      );
+    }
+    return `loudnorm=${[...options, 'print_format=json'].join(':')}`;
+  }
+
+  async measureLoudness(inputPath) {
+    const log = await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioFilters(this.getFilter())
+        .format('null')
+        .on('end', (stdout, stderr) => resolve(stderr))
+        .on('error', (err) => reject(new Error(`Failed to measure loudness: ${err.message}`)))
+        .save('-');
+    });
+
+    return parseLoudnormStats(log);
+  }
+
+  // Rewrites the audio track at the target loudness, the video stream is copied
+  async normalize(inputPath, outputPath, measured) {
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .audioFilters(this.getFilter(measured))
+        .audioCodec('aac')
+        .audioBitrate(config.audioBitrate)
+        .audioFrequency(config.sampleRate)
+        .outputOptions(['-c:v copy', '-movflags +faststart'])
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to normalize loudness: ${err.message}`)))
+        .save(outputPath);
+    });
+  }
+
+  async extractRendition(inputPath, outputPath) {
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioCodec('aac')
+        .audioBitrate(config.audioBitrate)
+        .outputOptions(['-movflags +faststart'])
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to extract audio: ${err.message}`)))
+        .save(outputPath);
+    });
+  }
+
+  // Measures the clip, normalizes it unless the creator opted out and
+  // uploads the audio-only rendition. Returns the file to continue with and
+  // the video fields. Audio problems never fail processing, the clip is then
+  // published with its audio as uploaded.
+  async process(inputPath, keyPrefix, workDir, { normalize = true } = {}) {
+    const result = { videoPath: inputPath, fields: { audioNormalized: false } };
+
+    try {
+      await fs.mkdir(workDir, { recursive: true });
+
+      const measured = await this.measureLoudness(inputPath);
+      Object.assign(result.fields, {
+        loudnessLufs: toNumber(measured.input_i),
+        truePeakDb: toNumber(measured.input_tp),
+        loudnessRange: toNumber(measured.input_lra)
+      });
+      logger.info(`Measured loudness ${measured.input_i} LUFS, true peak ${measured.input_tp} dBTP`);
+
+      // Digital silence measures as -inf and has nothing to normalize
+      if (normalize && result.fields.loudnessLufs !== null) {
+        const normalizedPath = path.join(workDir, 'normalized.mp4');
+        await this.normalize(inputPath, normalizedPath, measured);
+        result.videoPath = normalizedPath;
+        result.fields.audioNormalized = true;
+      }
+
+      const renditionPath = path.join(workDir, config.renditionFileName);
+      await this.extractRendition(result.videoPath, renditionPath);
+      result.fields.audioKey = `${keyPrefix}/audio/${config.renditionFileName}`;
+      await storageClient.uploadFile(videoConfig.bucketName, result.fields.audioKey, await fs.readFile(renditionPath));
+      logger.info(`Audio rendition uploaded: ${result.fields.audioKey}`);
+    } catch (error) {
+      logger.error(`Audio processing failed, keeping the audio as uploaded: ${error.message}`);
+      return { videoPath: inputPath, fields: { ...result.fields, audioNormalized: false, audioKey: null } };
+    }
+
+    return result;
+  }
+}
+
+module.exports = new AudioService();
@@ -0,0 +1,219 @@
+const path = require('path');
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const storageClient = require('../configs/storage');
+const videoConfig = require('../configs/video-service-config');
+const config = require('../configs/caption-config');
+const { toWebVtt } = require('../utils/subtitles');
+
+const TRACK_SELECT = {
+  language: true,
+  label: true,
+  source: true,
+  updatedAt: true
+};
+
+// Auto-caption providers turn a processed video into a caption track.
+// transcribe(videoPath, { language, duration }) resolves to WebVTT or SRT
+// text, or to null when the provider has nothing to offer.
+class NoopProvider {
+  async transcribe() {
+    return null;
+  }
+}
+
+const providers = {
+  none: NoopProvider
+};
+
+// Readable name of a language tag, falls back to the tag itself
+const defaultLabel = (language) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (error) {
+    return language;
+  }
+};
+
+// Caption tracks uploaded by creators or produced by the auto-caption
+// provider. Tracks are always stored as WebVTT.
+class CaptionService {
+  constructor() {
+    this.setProvider(config.provider);
+  }
+
+  registerProvider(name, Provider) {
+    providers[name] = Provider;
+  }
+
+  setProvider(name) {
+    const Provider = providers[name];
+    if (!Provider) {
+      throw new Error(`Unknown caption provider: ${name}`);
+    }
+
+    this.providerName = name;
+    this.provider = new Provider();
+  }
+
+  async getOwnedVideo(videoId, userId) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { id: true, userId: true, url: true, status: true }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    if (video.userId !== userId) {
+      throw new Error('Not authorized to manage captions of this video');
+    }
+    if (video.status !== 'READY') {
+      throw new Error('Video is still processing, captions can be added once it is ready');
+    }
+
+    return video;
+  }
+
+  async getTrack(videoId, language) {
+    const track = await prisma.captionTrack.findUnique({
+      where: { videoId_language: { videoId, language } }
+    });
+
+    if (!track) {
+      throw new Error('Caption track not found');
+    }
+
+    return track;
+  }
+
+  async listTracks(videoId) {
+    return prisma.captionTrack.findMany({
+      where: { videoId },
+      orderBy: { language: 'asc' },
+      select: TRACK_SELECT
+    });
+  }
+
+  // Uploads WebVTT under a new versioned key next to the video
+  async storeFile(video, language, vtt) {
+    const key = `${path.dirname(video.url)}/captions/${language}-${Date.now()}.vtt`;
+    await storageClient.uploadFile(videoConfig.bucketName, key, Buffer.from(vtt));
+    return key;
+  }
+
+  async deleteFile(key) {
+    await storageClient.deleteFile(videoConfig.bucketName, key).catch((error) => {
+      logger.error(`Error deleting caption file ${key}:`, error);
+    });
+  }
+
+  // Creates the track for a language or replaces its file and label
+  async saveTrack(videoId, userId, language, { content, format, label, source = 'UPLOADED' }) {
+    try {
+      const video = await this.getOwnedVideo(videoId, userId);
+      const existing = await prisma.captionTrack.findUnique({
+        where: { videoId_language: { videoId, language } }
+      });
+
+      if (!existing && await prisma.captionTrack.count({ where: { videoId } }) >= config.maxTracks) {
+        throw new Error(`Caption track limit reached, a video can have at most ${config.maxTracks} tracks`);
+      }
+
+      const key = await this.storeFile(video, language, toWebVtt(content, format));
+      const track = await prisma.captionTrack.upsert({
+        where: { videoId_language: { videoId, language } },
+        create: { videoId, language, label: label || defaultLabel(language), source, key },
+        update: { key, source, ...(label && { label }) },
+        select: TRACK_SELECT
+      });
+
+      if (existing) {
+        await this.deleteFile(existing.key);
+      }
+
+      logger.info(`Caption track ${language} saved for video ${videoId}`);
+      return track;
+    } catch (error) {
+      logger.error('Error saving caption track:', error);
+      throw error;
+    }
+  }
+
+  // Changes the label and/or text of an existing track
+  async updateTrack(videoId, userId, language, { content, format, label }) {
+    try {
+      const video = await this.getOwnedVideo(videoId, userId);
+      const existing = await this.getTrack(videoId, language);
+
+      const key = content !== undefined ? await this.storeFile(video, language, toWebVtt(content, format)) : existing.key;
+      const track = await prisma.captionTrack.update({
+        where: { id: existing.id },
+        data: {
+          key,
+          ...(label && { label }),
+          // Edited auto-captions are the creator's from now on
+          ...(content !== undefined && { source: 'UPLOADED' })
+        },
+        select: TRACK_SELECT
+      });
+
+      if (key !== existing.key) {
+        await this.deleteFile(existing.key);
+      }
+
+      logger.info(`Caption track ${language} updated for video ${videoId}`);
+      return track;
+    } catch (error) {
+      logger.error('Error updating caption track:', error);
+      throw error;
+    }
+  }
+
+  async deleteTrack(videoId, userId, language) {
+    try {
+      await this.getOwnedVideo(videoId, userId);
+      const track = await this.getTrack(videoId, language);
+
+      await prisma.captionTrack.delete({ where: { id: track.id } });
+      await this.deleteFile(track.key);
+
+      logger.info(`Caption track ${language} deleted from video ${videoId}`);
+    } catch (error) {
+      logger.error('Error deleting caption track:', error);
+      throw error;
+    }
+  }
+
+  async getTrackFile(videoId, language) {
+    const track = await this.getTrack(videoId, language);
+    return storageClient.getFile(videoConfig.bucketName, track.key);
+  }
+
+  // Runs the auto-caption provider for a freshly processed video. Failures
+  // are logged and never fail processing.
+  async generateAuto(video, videoPath) {
+    const language = config.autoLanguage;
+
+    try {
+      const existing = await prisma.captionTrack.findUnique({
+        where: { videoId_language: { videoId: video.id, language } }
+      });
+      if (existing && existing.source === 'UPLOADED') {
+        return null;
+      }
+
+      const content = await this.provider.transcribe(videoPath, { language, duration: video.duration });
+      if (!content) {
+        return null;
+      }
+
+      return await this.saveTrack(video.id, video.userId, language, { content, source: 'AUTO' });
+    } catch (error) {
+      logger.error(`Error generating ${this.providerName} captions for video ${video.id}:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new CaptionService();
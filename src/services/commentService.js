@@ -1,10 +1,13 @@
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const visibilityService = require('./visibilityService');
 const prisma = new PrismaClient();
 
 class CommentService {
-  async getComments(videoId, cursor, limit = 10) {
+  async getComments(videoId, cursor, limit = 10, viewerId) {
     try {
+      await visibilityService.assertCanView(videoId, viewerId);
+
       // Convert cursor to Date if provided
       const cursorDate = cursor ? new Date(parseInt(cursor)) : undefined;
       
@@ -72,6 +75,8 @@ class CommentService {
 
   async addComment(userId, videoId, content) {
     try {
+      await visibilityService.assertCanView(videoId, userId);
+
       // Start a transaction
       const result = await prisma.$transaction(async (tx) => {
         // Create the comment
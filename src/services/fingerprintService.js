@@ -0,0 +1,273 @@
+const ffmpeg = require('fluent-ffmpeg');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const config = require('../configs/fingerprint-config');
+
+// dHash frames are 9x8 grayscale, one bit per horizontally adjacent pair
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const FRAME_BYTES = HASH_WIDTH * HASH_HEIGHT;
+// Hashes are split into bands for candidate lookup: two hashes within
+// BANDS - 1 bits of each other share at least one band
+const BANDS = 4;
+
+const popcount32 = (value) => {
+  let bits = value - ((value >>> 1) & 0x55555555);
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  return (((bits + (bits >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// A 64-bit hash as two 32-bit words, cheaper to compare than a BigInt
+const toWords = (hash) => [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8), 16)];
+
+const distance = ([aHigh, aLow], [bHigh, bLow]) => popcount32((aHigh ^ bHigh) >>> 0) + popcount32((aLow ^ bLow) >>> 0);
+
+// Exact SHA-256 of the uploaded original, plus a perceptual fingerprint of
+// the published clip: one difference hash per sampled second. Re-encoding,
+// scaling and small edits keep most frame hashes within a few bits, so
+// re-uploads are found even when the files differ.
+class FingerprintService {
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
+  // 16 hex digit hash of one 9x8 grayscale frame
+  computeFrameHash(pixels) {
+    let hash = 0n;
+    for (let row = 0; row < HASH_HEIGHT; row++) {
+      for (let column = 0; column < HASH_WIDTH - 1; column++) {
+        const offset = row * HASH_WIDTH + column;
+        hash = (hash << 1n) | (pixels[offset] < pixels[offset + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  async extractFrameHashes(videoPath, workDir) {
+    const framesPath = path.join(workDir, 'frames.gray');
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(videoPath)
+        .noAudio()
+        .outputOptions([
+          `-vf fps=${config.sampleFps},scale=${HASH_WIDTH}:${HASH_HEIGHT},format=gray`,
+          `-frames:v ${config.maxFrames}`,
+          '-f rawvideo'
+        ])
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to fingerprint video: ${err.message}`)))
+        .save(framesPath);
+    });
+
+    const frames = await fs.promises.readFile(framesPath);
+    const hashes = [];
+    for (let offset = 0; offset + FRAME_BYTES <= frames.length; offset += FRAME_BYTES) {
+      hashes.push(this.computeFrameHash(frames.subarray(offset, offset + FRAME_BYTES)));
+    }
+    return hashes;
+  }
+
+  // Indexed lookup keys, "<band>:<4 hex digits>", skipping uniform frames
+  getBands(frameHashes) {
+    const bands = new Set();
+    for (const hash of frameHashes) {
+      const [high, low] = toWords(hash);
+      const bits = popcount32(high) + popcount32(low);
+      if (bits < config.minFrameBits || bits > 64 - config.minFrameBits) {
+        continue;
+      }
+      for (let band = 0; band < BANDS; band++) {
+        bands.add(`${band}:${hash.slice(band * 4, band * 4 + 4)}`);
+      }
+    }
+    return [...bands];
+  }
+
+  // Share of the shorter sequence's frames that match the other sequence,
+  // at the best time offset between the two
+  similarity(a, b) {
+    if (a.length === 0 || b.length === 0) {
+      return { similarity: 0, matchingFrames: 0 };
+    }
+
+    const left = a.map(toWords);
+    const right = b.map(toWords);
+    let best = 0;
+    for (let shift = -(right.length - 1); shift < left.length; shift++) {
+      let matching = 0;
+      for (let i = Math.max(0, shift); i < Math.min(left.length, right.length + shift); i++) {
+        if (distance(left[i], right[i - shift]) <= config.frameDistance) {
+          matching++;
+        }
+      }
+      best = Math.max(best, matching);
+    }
+
+    return { similarity: best / Math.min(a.length, b.length), matchingFrames: best };
+  }
+
+  // Video fields for a processed video
+  async fingerprint(sourcePath, videoPath, workDir) {
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    const sourceHash = await this.hashFile(sourcePath);
+    const frameHashes = await this.extractFrameHashes(videoPath, workDir);
+
+    logger.info(`Fingerprinted ${frameHashes.length} frames, source ${sourceHash}`);
+    return { sourceHash, frameHashes, fingerprintBands: this.getBands(frameHashes) };
+  }
+
+  // Other users' ready videos that are copies of this one, oldest first
+  async findMatches(video, { sourceHash, frameHashes, fingerprintBands }) {
+    const candidates = await prisma.video.findMany({
+      where: {
+        id: { not: video.id },
+        userId: { not: video.userId },
+        status: 'READY',
+        OR: [
+          { sourceHash },
+          ...(fingerprintBands.length > 0 ? [{ fingerprintBands: { hasSome: fingerprintBands } }] : [])
+        ]
+      },
+      orderBy: { createdAt: 'asc' },
+      take: config.candidateLimit,
+      select: { id: true, sourceHash: true, frameHashes: true, createdAt: true }
+    });
+
+    const matches = [];
+    for (const candidate of candidates) {
+      const exact = candidate.sourceHash === sourceHash;
+      const { similarity, matchingFrames } = this.similarity(frameHashes, candidate.frameHashes);
+
+      if (exact || (similarity >= config.minSimilarity && matchingFrames >= config.minMatchingFrames)) {
+        matches.push({ originalId: candidate.id, exact, similarity: exact ? 1 : similarity });
+      }
+    }
+    return matches;
+  }
+
+  // Flags or rejects a video that copies someone else's. Rejections carry
+  // the original's id and are not retried.
+  async checkDuplicates(video, fingerprint) {
+    const matches = await this.findMatches(video, fingerprint);
+    if (matches.length === 0) {
+      return [];
+    }
+
+    const [original] = matches;
+    if (config.action === 'reject') {
+      const error = new Error(`Duplicate of video ${original.originalId}, which another user uploaded first`);
+      error.retryable = false;
+      throw error;
+    }
+
+    await prisma.duplicateMatch.createMany({
+      data: matches.map(match => ({ videoId: video.id, ...match })),
+      skipDuplicates: true
+    });
+
+    logger.warn(`Video ${video.id} flagged as a duplicate of ${matches.map(match => match.originalId).join(', ')}`);
+    return matches;
+  }
+
+  // Flagged matches for moderators, oldest first. Matches of one video share
+  // a createdAt, so the cursor is "<createdAt ms>:<id>" of the last match.
+  async listMatches({ status = 'PENDING', cursor, limit = config.reviewPageSize } = {}) {
+    try {
+      const videoSelect = {
+        id: true,
+        title: true,
+        thumbnailUrl: true,
+        visibility: true,
+        createdAt: true,
+        user: { select: { id: true, username: true } }
+      };
+
+      const matches = await prisma.duplicateMatch.findMany({
+        take: limit + 1,
+        where: {
+          status,
+          ...(cursor && this.getCursorFilter(cursor))
+        },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        include: {
+          video: { select: videoSelect },
+          original: { select: videoSelect },
+          reviewedBy: { select: { id: true, username: true } }
+        }
+      });
+
+      const hasMore = matches.length > limit;
+      const results = hasMore ? matches.slice(0, -1) : matches;
+
+      return {
+        matches: results,
+        nextCursor: hasMore ? this.getCursor(results[results.length - 1]) : null,
+        hasMore
+      };
+    } catch (error) {
+      logger.error('Error listing duplicate matches:', error);
+      throw error;
+    }
+  }
+
+  getCursor(match) {
+    return `${match.createdAt.getTime()}:${match.id}`;
+  }
+
+  getCursorFilter(cursor) {
+    const separator = cursor.indexOf(':');
+    const createdAt = new Date(parseInt(cursor.slice(0, separator)));
+    const id = cursor.slice(separator + 1);
+
+    return {
+      OR: [
+        { createdAt: { gt: createdAt } },
+        { createdAt, id: { gt: id } }
+      ]
+    };
+  }
+
+  // Confirmed duplicates are made private and locked there so they stop
+  // collecting views and rewards; dismissed matches leave the video alone
+  async reviewMatch(matchId, moderatorId, { status, note }) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        // Conditional on PENDING so two moderators cannot both decide
+        const { count } = await tx.duplicateMatch.updateMany({
+          where: { id: matchId, status: 'PENDING' },
+          data: { status, note: note || null, reviewedById: moderatorId, reviewedAt: new Date() }
+        });
+        const reviewed = await tx.duplicateMatch.findUnique({ where: { id: matchId } });
+
+        if (!reviewed) {
+          throw new Error('Duplicate match not found');
+        }
+        if (count === 0) {
+          throw new Error(`Duplicate match was already ${reviewed.status.toLowerCase()}`);
+        }
+
+        if (status === 'CONFIRMED') {
+          await tx.video.update({
+            where: { id: reviewed.videoId },
+            data: { visibility: 'PRIVATE', moderationLockedAt: new Date() }
+          });
+        }
+
+        logger.info(`Duplicate match ${matchId} ${status.toLowerCase()} by moderator ${moderatorId}`);
+        return reviewed;
+      });
+    } catch (error) {
+      logger.error('Error reviewing duplicate match:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new FingerprintService();
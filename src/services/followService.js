@@ -0,0 +1,189 @@
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+
+const USER_SUMMARY_SELECT = {
+  id: true,
+  username: true,
+  displayName: true,
+  avatar: true
+};
+
+class FollowService {
+  async follow(followerId, followingId) {
+    try {
+      if (followerId === followingId) {
+        throw new Error('You cannot follow yourself');
+      }
+
+      const target = await prisma.user.findUnique({
+        where: { id: followingId },
+        select: { id: true }
+      });
+
+      if (!target) {
+        throw new Error('User not found');
+      }
+
+      // The relation and both counters change together or not at all
+      await prisma.$transaction(async (tx) => {
+        await tx.follow.create({
+          data: { followerId, followingId }
+        });
+
+        await tx.user.update({
+          where: { id: followerId },
+          data: { following: { increment: 1 } }
+        });
+
+        await tx.user.update({
+          where: { id: followingId },
+          data: { followers: { increment: 1 } }
+        });
+      });
+
+      logger.info(`User ${followerId} followed ${followingId}`);
+      return this.getRelationship(followerId, followingId);
+    } catch (error) {
+      if (error.code === 'P2002') {
+        throw new Error('Already following this user');
+      }
+      logger.error('Error following user:', error);
+      throw error;
+    }
+  }
+
+  async unfollow(followerId, followingId) {
+    try {
+      await prisma.$transaction(async (tx) => {
+        const { count } = await tx.follow.deleteMany({
+          where: { followerId, followingId }
+        });
+
+        if (count === 0) {
+          throw new Error('Not following this user');
+        }
+
+        await tx.user.update({
+          where: { id: followerId },
+          data: { following: { decrement: 1 } }
+        });
+
+        await tx.user.update({
+          where: { id: followingId },
+          data: { followers: { decrement: 1 } }
+        });
+      });
+
+      logger.info(`User ${followerId} unfollowed ${followingId}`);
+      return this.getRelationship(followerId, followingId);
+    } catch (error) {
+      logger.error('Error unfollowing user:', error);
+      throw error;
+    }
+  }
+
+  // Describes how viewerId relates to userId
+  async getRelationship(viewerId, userId) {
+    const [following, followedBy] = await Promise.all([
+      prisma.follow.findUnique({
+        where: { followerId_followingId: { followerId: viewerId, followingId: userId } },
+        select: { id: true }
+      }),
+      prisma.follow.findUnique({
+        where: { followerId_followingId: { followerId: userId, followingId: viewerId } },
+        select: { id: true }
+      })
+    ]);
+
+    return {
+      following: Boolean(following),
+      followedBy: Boolean(followedBy),
+      mutual: Boolean(following && followedBy)
+    };
+  }
+
+  async isFollowing(followerId, followingId) {
+    const follow = await prisma.follow.findUnique({
+      where: { followerId_followingId: { followerId, followingId } },
+      select: { id: true }
+    });
+    return Boolean(follow);
+  }
+
+  async getFollowingIds(userId) {
+    const follows = await prisma.follow.findMany({
+      where: { followerId: userId },
+      select: { followingId: true }
+    });
+    return follows.map(follow => follow.followingId);
+  }
+
+  async getFollowers(userId, cursor, limit = 20) {
+    return this.listRelations(userId, 'followers', cursor, limit);
+  }
+
+  async getFollowing(userId, cursor, limit = 20) {
+    return this.listRelations(userId, 'following', cursor, limit);
+  }
+
+  // Shared cursor pagination for both directions; each entry is flagged as
+  // mutual when the follow goes both ways
+  async listRelations(userId, direction, cursor, limit) {
+    try {
+      const cursorDate = cursor ? new Date(parseInt(cursor)) : undefined;
+      const ownKey = direction === 'followers' ? 'followingId' : 'followerId';
+      const otherKey = direction === 'followers' ? 'followerId' : 'followingId';
+      const otherUser = direction === 'followers' ? 'follower' : 'following';
+
+      const follows = await prisma.follow.findMany({
+        take: limit + 1,
+        where: {
+          [ownKey]: userId,
+          ...(cursorDate && {
+            createdAt: {
+              lt: cursorDate
+            }
+          })
+        },
+        orderBy: {
+          createdAt: 'desc'
+        },
+        include: {
+          [otherUser]: {
+            select: USER_SUMMARY_SELECT
+          }
+        }
+      });
+
+      const hasMore = follows.length > limit;
+      const results = hasMore ? follows.slice(0, -1) : follows;
+      const lastFollow = results[results.length - 1];
+      const nextCursor = hasMore ? lastFollow.createdAt.getTime().toString() : null;
+
+      // Follows going the other way between userId and this page of users
+      const reverse = await prisma.follow.findMany({
+        where: {
+          [ownKey]: { in: results.map(follow => follow[otherKey]) },
+          [otherKey]: userId
+        },
+        select: { [ownKey]: true }
+      });
+      const mutualIds = new Set(reverse.map(follow => follow[ownKey]));
+
+      return {
+        users: results.map(follow => ({
+          ...follow[otherUser],
+          followedAt: follow.createdAt,
+          mutual: mutualIds.has(follow[otherKey])
+        })),
+        nextCursor,
+        hasMore
+      };
+    } catch (error) {
+      logger.error(`Error fetching ${direction}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new FollowService();
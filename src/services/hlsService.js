@@ -0,0 +1,168 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const config = require('../configs/hls-config');
+const captionConfig = require('../configs/caption-config');
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.vtt': 'text/vtt'
+};
+
+const SUBTITLE_FILE_PATTERN = /^([A-Za-z0-9-]+)\.(m3u8|vtt)$/;
+
+class HlsService {
+  // Rungs to encode for a source; rung heights apply to the short side so
+  // portrait videos get the same ladder. Always at least the lowest rung so
+  // small sources still get a playlist.
+  getLadder({ width, height } = {}) {
+    const shortSide = width && height ? Math.min(width, height) : null;
+    const ladder = config.ladder.filter(rung => !shortSide || rung.height <= shortSide);
+    return ladder.length > 0 ? ladder : [config.ladder[0]];
+  }
+
+  // Output dimensions of a rung, keeping the source aspect ratio and even sizes
+  getDimensions(rung, { width, height } = {}) {
+    const even = (value) => Math.round(value / 2) * 2;
+    if (!width || !height) {
+      return { width: even(rung.height * 16 / 9), height: rung.height };
+    }
+    return width < height
+      ? { width: rung.height, height: even(rung.height * height / width) }
+      : { width: even(rung.height * width / height), height: rung.height };
+  }
+
+  // Source dimensions are as displayed (see utils/media), ffmpeg rotates
+  // before scaling
+  async transcodeRendition(inputPath, outputDir, rung, source = {}) {
+    const { width, height } = this.getDimensions(rung, source);
+    const renditionDir = path.join(outputDir, rung.name);
+    await fs.mkdir(renditionDir, { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .videoCodec('libx264')
+        .outputOptions([
+          `-vf scale=${width}:${height}`,
+          `-b:v ${rung.videoBitrate}k`,
+          `-maxrate ${Math.round(rung.videoBitrate * 1.07)}k`,
+          `-bufsize ${rung.videoBitrate * 2}k`,
+          ...(source.hasAudio ? ['-c:a aac', `-b:a ${rung.audioBitrate}k`] : ['-an']),
+          '-profile:v main',
+          '-preset veryfast',
+          // Keyframes on segment boundaries so every segment starts cleanly
+          `-force_key_frames expr:gte(t,n_forced*${config.segmentSeconds})`,
+          '-sc_threshold 0',
+          '-f hls',
+          `-hls_time ${config.segmentSeconds}`,
+          '-hls_playlist_type vod',
+          `-hls_segment_filename ${path.join(renditionDir, 'segment_%03d.ts')}`
+        ])
+        .on('start', (commandLine) => {
+          logger.info(`Started ${rung.name} rendition with command:`, commandLine);
+        })
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to transcode ${rung.name} rendition: ${err.message}`)))
+        .save(path.join(renditionDir, config.renditionPlaylist));
+    });
+  }
+
+  // Only lists AAC for sources with audio, players refuse variants whose
+  // declared codecs are missing
+  buildMasterPlaylist(ladder, source = {}) {
+    const codecs = source.hasAudio ? 'avc1.4d401f,mp4a.40.2' : 'avc1.4d401f';
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const rung of ladder) {
+      const bandwidth = (rung.videoBitrate + (source.hasAudio ? rung.audioBitrate : 0)) * 1000;
+      const { width, height } = this.getDimensions(rung, source);
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${height},CODECS="${codecs}"`);
+      lines.push(`${rung.name}/${config.renditionPlaylist}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Adds caption tracks to a stored master playlist as a subtitles group.
+  // Captions change after processing, so this runs on every request.
+  addSubtitles(master, tracks) {
+    if (tracks.length === 0) {
+      return master;
+    }
+
+    const groupId = captionConfig.hlsGroupId;
+    const media = tracks.map(track => [
+      '#EXT-X-MEDIA:TYPE=SUBTITLES',
+      `GROUP-ID="${groupId}"`,
+      `NAME="${track.label.replace(/["\r\n]/g, '')}"`,
+      `LANGUAGE="${track.language}"`,
+      'DEFAULT=NO',
+      'AUTOSELECT=YES',
+      `URI="${captionConfig.hlsDir}/${track.language}.m3u8"`
+    ].join(','));
+
+    const lines = [];
+    for (const line of master.trimEnd().split('\n')) {
+      lines.push(line.startsWith('#EXT-X-STREAM-INF:') ? `${line},SUBTITLES="${groupId}"` : line);
+      if (line.startsWith('#EXT-X-VERSION:')) {
+        lines.push(...media);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  // A caption track is a single WebVTT segment spanning the whole video
+  buildSubtitlePlaylist(language, duration) {
+    return [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      `#EXT-X-TARGETDURATION:${Math.max(1, Math.ceil(duration))}`,
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      `#EXTINF:${duration.toFixed(3)},`,
+      `${language}.vtt`,
+      '#EXT-X-ENDLIST',
+      ''
+    ].join('\n');
+  }
+
+  // { language, type } of a file below the subtitles folder, null if invalid
+  parseSubtitleFile(fileName) {
+    const match = SUBTITLE_FILE_PATTERN.exec(fileName);
+    return match ? { language: match[1], type: match[2] } : null;
+  }
+
+  // Encodes the ladder into outputDir and returns the relative paths of every
+  // file to upload, master playlist last so it only appears once complete
+  async transcode(inputPath, outputDir, source) {
+    const ladder = this.getLadder(source);
+
+    for (const rung of ladder) {
+      await this.transcodeRendition(inputPath, outputDir, rung, source);
+    }
+
+    await fs.writeFile(path.join(outputDir, config.masterPlaylist), this.buildMasterPlaylist(ladder, source));
+
+    const files = [];
+    for (const rung of ladder) {
+      const entries = await fs.readdir(path.join(outputDir, rung.name));
+      files.push(...entries.map(entry => `${rung.name}/${entry}`));
+    }
+    files.push(config.masterPlaylist);
+
+    logger.info(`HLS ladder ${ladder.map(rung => rung.name).join(', ')} produced ${files.length} files`);
+    return files;
+  }
+
+  // Whitelists the files a client may request below a video's HLS prefix
+  isValidPath(rendition, fileName) {
+    return config.ladder.some(rung => rung.name === rendition) &&
+      (fileName === config.renditionPlaylist || config.segmentPattern.test(fileName));
+  }
+
+  getContentType(fileName) {
+    return CONTENT_TYPES[path.extname(fileName)] || 'application/octet-stream';
+  }
+}
+
+module.exports = new HlsService();
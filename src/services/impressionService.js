@@ -0,0 +1,89 @@
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const config = require('../configs/impression-config');
+
+const MAX_WRITE_ATTEMPTS = 3;
+
+const toEpochSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+class ImpressionService {
+  // Drops expired entries and caps the map to the most recent impressions
+  prune(seen, now) {
+    const cutoff = toEpochSeconds(now) - config.retentionHours * 60 * 60;
+    const entries = Object.entries(seen || {})
+      .filter(([, seenAt]) => seenAt >= cutoff)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, config.maxEntriesPerUser);
+    return Object.fromEntries(entries);
+  }
+
+  async getSeenVideoIds(userId, now = new Date()) {
+    try {
+      const log = await prisma.impressionLog.findUnique({
+        where: { userId }
+      });
+      return Object.keys(this.prune(log && log.seen, now));
+    } catch (error) {
+      logger.error('Error getting seen videos:', error);
+      throw error;
+    }
+  }
+
+  // Records a batch of impressions. The log is rewritten with optimistic
+  // locking on `version`, so concurrent batches retry instead of clobbering.
+  async recordImpressions(userId, videoIds, now = new Date()) {
+    try {
+      const uniqueIds = [...new Set(videoIds)];
+
+      for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+        const log = await prisma.impressionLog.findUnique({
+          where: { userId }
+        });
+
+        const seen = this.prune(log && log.seen, now);
+        const newIds = uniqueIds.filter(videoId => !(videoId in seen));
+        for (const videoId of uniqueIds) {
+          seen[videoId] = toEpochSeconds(now);
+        }
+        const nextSeen = this.prune(seen, now);
+
+        if (!log) {
+          try {
+            await prisma.impressionLog.create({
+              data: { userId, seen: nextSeen }
+            });
+          } catch (error) {
+            if (error.code === 'P2002') continue;
+            throw error;
+          }
+        } else {
+          const { count } = await prisma.impressionLog.updateMany({
+            where: { userId, version: log.version },
+            data: { seen: nextSeen, version: { increment: 1 } }
+          });
+          if (count === 0) continue;
+        }
+
+        // Count each viewer once per retention window for view-through rate
+        if (newIds.length > 0) {
+          await prisma.video.updateMany({
+            where: { id: { in: newIds } },
+            data: { impressionCount: { increment: 1 } }
+          });
+        }
+
+        return {
+          recorded: uniqueIds.length,
+          newImpressions: newIds.length
+        };
+      }
+
+      throw new Error('Could not record impressions due to concurrent updates, please retry');
+    } catch (error) {
+      logger.error('Error recording impressions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ImpressionService();
@@ -0,0 +1,261 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const os = require('os');
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const config = require('../configs/queue-config');
+
+const MINUTE_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const backoffDelay = (attempts) => Math.min(config.backoffBaseMs * 2 ** (attempts - 1), config.backoffMaxMs);
+
+// Jobs persisted in Postgres. Claims use SKIP LOCKED so any number of
+// workers can poll the same table without handing a job out twice.
+class PostgresStore {
+  async enqueue(type, payload, maxAttempts) {
+    return prisma.processingJob.create({
+      data: { type, payload, maxAttempts }
+    });
+  }
+
+  async claim(workerId, staleBefore) {
+    const jobs = await prisma.$queryRaw`
+      UPDATE "ProcessingJob"
+      SET "status" = 'RUNNING', "attempts" = "attempts" + 1, "lockedAt" = NOW(), "lockedBy" = ${workerId}, "updatedAt" = NOW()
+      WHERE "id" = (
+        SELECT "id" FROM "ProcessingJob"
+        WHERE ("status" = 'QUEUED' AND "runAt" <= NOW())
+           OR ("status" = 'RUNNING' AND "lockedAt" < ${staleBefore})
+        ORDER BY "runAt"
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *`;
+    return jobs[0] || null;
+  }
+
+  // Only the worker holding the lock may settle a job
+  async settle(job, workerId, data) {
+    const { count } = await prisma.processingJob.updateMany({
+      where: { id: job.id, status: 'RUNNING', lockedBy: workerId },
+      data: { ...data, lockedAt: null, lockedBy: null }
+    });
+    return count > 0;
+  }
+
+  // Finished jobs nobody has been told about yet; marking them notified is
+  // conditional so each one is handed out once across API instances
+  async takeFinished() {
+    const finished = await prisma.processingJob.findMany({
+      where: { status: { in: ['SUCCEEDED', 'FAILED'] }, notifiedAt: null },
+      orderBy: { finishedAt: 'asc' },
+      take: 50
+    });
+
+    const taken = [];
+    for (const job of finished) {
+      const { count } = await prisma.processingJob.updateMany({
+        where: { id: job.id, notifiedAt: null },
+        data: { notifiedAt: new Date() }
+      });
+      if (count > 0) taken.push(job);
+    }
+    return taken;
+  }
+}
+
+// In-memory fallback for local development; jobs are lost on restart
+class LocalStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async enqueue(type, payload, maxAttempts) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      status: 'QUEUED',
+      attempts: 0,
+      maxAttempts,
+      runAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: null,
+      finishedAt: null,
+      notifiedAt: null,
+      createdAt: new Date()
+    };
+    this.jobs.set(job.id, job);
+    return { ...job };
+  }
+
+  async claim(workerId, staleBefore) {
+    const now = new Date();
+    const job = [...this.jobs.values()]
+      .filter(candidate =>
+        (candidate.status === 'QUEUED' && candidate.runAt <= now) ||
+        (candidate.status === 'RUNNING' && candidate.lockedAt < staleBefore))
+      .sort((a, b) => a.runAt - b.runAt)[0];
+
+    if (!job) return null;
+
+    Object.assign(job, { status: 'RUNNING', attempts: job.attempts + 1, lockedAt: now, lockedBy: workerId });
+    return { ...job };
+  }
+
+  async settle(job, workerId, data) {
+    const stored = this.jobs.get(job.id);
+    if (!stored || stored.status !== 'RUNNING' || stored.lockedBy !== workerId) {
+      return false;
+    }
+    Object.assign(stored, data, { lockedAt: null, lockedBy: null });
+    return true;
+  }
+
+  async takeFinished() {
+    const taken = [];
+    for (const job of this.jobs.values()) {
+      if (['SUCCEEDED', 'FAILED'].includes(job.status) && !job.notifiedAt) {
+        job.notifiedAt = new Date();
+        taken.push({ ...job });
+        this.jobs.delete(job.id);
+      }
+    }
+    return taken;
+  }
+}
+
+const stores = {
+  postgres: PostgresStore,
+  local: LocalStore
+};
+
+// Background job queue with retries and exponential backoff. Emits
+// 'finished' with the job once it succeeded or ran out of attempts.
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.setDriver(config.driver);
+  }
+
+  setDriver(driver) {
+    const Store = stores[driver];
+    if (!Store) {
+      throw new Error(`Unknown job queue driver: ${driver}`);
+    }
+
+    this.driver = driver;
+    this.store = new Store();
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  async enqueue(type, payload, { maxAttempts = config.maxAttempts } = {}) {
+    try {
+      const job = await this.store.enqueue(type, payload, maxAttempts);
+      logger.info(`Queued ${type} job ${job.id}`);
+      return job;
+    } catch (error) {
+      logger.error(`Error queueing ${type} job:`, error);
+      throw error;
+    }
+  }
+
+  // Claims and runs one job, returns false when nothing was due
+  async runNext() {
+    const staleBefore = new Date(Date.now() - config.lockTimeoutMinutes * MINUTE_MS);
+    const job = await this.store.claim(this.workerId, staleBefore);
+    if (!job) return false;
+
+    const handler = this.handlers.get(job.type);
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+      if (job.attempts > job.maxAttempts) {
+        throw new Error(`Job exceeded ${job.maxAttempts} attempts`);
+      }
+
+      logger.info(`Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.maxAttempts})`);
+      await handler(job.payload, job);
+
+      await this.store.settle(job, this.workerId, { status: 'SUCCEEDED', finishedAt: new Date(), lastError: null });
+      logger.info(`Finished ${job.type} job ${job.id}`);
+    } catch (error) {
+      // Handlers mark errors that another attempt cannot fix as not retryable
+      const retry = Boolean(handler) && error.retryable !== false && job.attempts < job.maxAttempts;
+
+      if (retry) {
+        const delay = backoffDelay(job.attempts);
+        await this.store.settle(job, this.workerId, {
+          status: 'QUEUED',
+          runAt: new Date(Date.now() + delay),
+          lastError: error.message
+        });
+        logger.warn(`Job ${job.id} failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+      } else {
+        await this.store.settle(job, this.workerId, {
+          status: 'FAILED',
+          finishedAt: new Date(),
+          lastError: error.message
+        });
+        logger.error(`Job ${job.id} failed permanently:`, error);
+      }
+    }
+
+    return true;
+  }
+
+  // Polls for jobs with `concurrency` parallel slots until stopped
+  startWorker({ concurrency = config.concurrency } = {}) {
+    let running = true;
+
+    const loop = async () => {
+      while (running) {
+        try {
+          const ran = await this.runNext();
+          if (!ran) await sleep(config.pollIntervalMs);
+        } catch (error) {
+          logger.error('Error polling job queue:', error);
+          await sleep(config.pollIntervalMs);
+        }
+      }
+    };
+
+    const loops = Array.from({ length: concurrency }, loop);
+    logger.info(`Job worker ${this.workerId} started with ${concurrency} slot(s) using the ${this.driver} queue`);
+
+    return {
+      stop: async () => {
+        running = false;
+        await Promise.all(loops);
+      }
+    };
+  }
+
+  // Emits 'finished' for jobs completed by any worker
+  startNotifier() {
+    const timer = setInterval(async () => {
+      try {
+        const jobs = await this.store.takeFinished();
+        for (const job of jobs) {
+          this.emit('finished', job);
+        }
+      } catch (error) {
+        logger.error('Error checking finished jobs:', error);
+      }
+    }, config.pollIntervalMs);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = new JobQueue();
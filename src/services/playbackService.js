@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const storageClient = require('../configs/storage');
+const videoConfig = require('../configs/video-service-config');
+const config = require('../configs/playback-config');
+const visibilityService = require('./visibilityService');
+
+const RESOURCES = ['stream', 'thumbnail', 'hls', 'storyboard', 'preview', 'captions'];
+
+// Short-lived playback URLs bound to a viewer and a video. Tokens for our own
+// routes are checked against the video on every request, so deleting a video
+// or hiding it from the viewer revokes access immediately; presigned storage
+// URLs simply expire.
+class PlaybackService {
+  signPayload(encodedPayload) {
+    return crypto.createHmac('sha256', config.signingSecret).update(encodedPayload).digest('base64url');
+  }
+
+  issueToken(userId, videoId, resource, expiresAt) {
+    if (!RESOURCES.includes(resource)) {
+      throw new Error(`Unknown playback resource: ${resource}`);
+    }
+
+    const payload = Buffer.from(JSON.stringify({
+      u: userId,
+      v: videoId,
+      r: resource,
+      e: Math.floor(expiresAt.getTime() / 1000)
+    })).toString('base64url');
+
+    return `${payload}.${this.signPayload(payload)}`;
+  }
+
+  async verifyToken(token, videoId, resource) {
+    const [payload, signature] = String(token).split('.');
+    const expected = this.signPayload(payload || '');
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid playback token');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (claims.v !== videoId || claims.r !== resource) {
+      throw new Error('Invalid playback token');
+    }
+    if (claims.e * 1000 < Date.now()) {
+      throw new Error('Playback URL has expired');
+    }
+
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { userId: true, status: true, visibility: true, publishStatus: true, moderationLockedAt: true }
+    });
+    if (!video || video.status !== 'READY' || !(await visibilityService.canView(video, claims.u))) {
+      throw new Error('Playback access revoked');
+    }
+
+    return { userId: claims.u, videoId };
+  }
+
+  getRouteUrl(videoId, resource, token) {
+    const base = `${config.getPublicBaseUrl()}/api/content/${videoId}`;
+    // Token lives in the path so relative playlist, segment and sprite URIs keep it
+    if (resource === 'hls') {
+      return `${base}/hls/t/${token}/master.m3u8`;
+    }
+    if (resource === 'storyboard') {
+      return `${base}/storyboard/t/${token}/storyboard.vtt`;
+    }
+    return `${base}/${resource}?token=${encodeURIComponent(token)}`;
+  }
+
+  getCaptionUrl(videoId, language, token) {
+    return `${config.getPublicBaseUrl()}/api/content/${videoId}/captions/${language}?token=${encodeURIComponent(token)}`;
+  }
+
+  // URLs for one video; keys are storage object keys
+  async getPlaybackUrls({ id, videoKey, thumbnailKey, posterKey, previewKey, hlsAvailable, storyboardAvailable, captionLanguages = [] }, userId) {
+    const expiresAt = new Date(Date.now() + config.ttlSeconds * 1000);
+    const routeUrl = (resource) => this.getRouteUrl(id, resource, this.issueToken(userId, id, resource, expiresAt));
+    // One token covers every caption track of the video
+    const captionsToken = captionLanguages.length > 0 ? this.issueToken(userId, id, 'captions', expiresAt) : null;
+
+    try {
+      const presign = (key) => storageClient.getPresignedDownloadUrl(videoConfig.bucketName, key, config.ttlSeconds);
+      const usePresigned = config.mode === 'presigned';
+
+      return {
+        videoUrl: usePresigned ? await presign(videoKey) : routeUrl('stream'),
+        thumbnailUrl: thumbnailKey ? (usePresigned ? await presign(thumbnailKey) : routeUrl('thumbnail')) : null,
+        posterUrl: posterKey ? (usePresigned ? await presign(posterKey) : `${routeUrl('thumbnail')}&size=poster`) : null,
+        previewUrl: previewKey ? (usePresigned ? await presign(previewKey) : routeUrl('preview')) : null,
+        // HLS segments and storyboard sprites are resolved relative to their
+        // index file, so they always go through our routes
+        hlsUrl: hlsAvailable ? routeUrl('hls') : null,
+        storyboardUrl: storyboardAvailable ? routeUrl('storyboard') : null,
+        // Caption tracks change after processing, so they are never presigned
+        captions: captionLanguages.map(language => ({ language, url: this.getCaptionUrl(id, language, captionsToken) })),
+        expiresAt
+      };
+    } catch (error) {
+      logger.error(`Error issuing playback URLs for video ${id}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PlaybackService();
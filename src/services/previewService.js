@@ -0,0 +1,159 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const { getDisplayDimensions } = require('../utils/media');
+const storageClient = require('../configs/storage');
+const videoConfig = require('../configs/video-service-config');
+const config = require('../configs/preview-config');
+
+const CONTENT_TYPES = {
+  '.vtt': 'text/vtt',
+  '.jpg': 'image/jpeg',
+  '.mp4': 'video/mp4'
+};
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// HH:MM:SS.mmm as used by WebVTT cue timings
+const formatTimestamp = (seconds) => {
+  const millis = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(millis / 3600000))}:${pad(Math.floor(millis / 60000) % 60)}:${pad(Math.floor(millis / 1000) % 60)}.${pad(millis % 1000, 3)}`;
+};
+
+// Scrubbing storyboards and animated previews. A storyboard is a set of
+// sprite sheets plus a WebVTT file whose cues point at one tile each with a
+// #xywh= fragment, the format players such as video.js and Shaka consume.
+class PreviewService {
+  async probe(inputPath) {
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(inputPath, (err, data) => {
+        if (err) {
+          reject(new Error(`Failed to probe video: ${err.message}`));
+        } else {
+          resolve(data);
+        }
+      });
+    });
+
+    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+    return {
+      duration: metadata.format.duration || 0,
+      ...getDisplayDimensions(videoStream)
+    };
+  }
+
+  getStoryboardLayout({ duration, width, height }) {
+    const { intervalSeconds, maxFrames, tileWidth, columns, rows } = config.storyboard;
+    const interval = Math.max(intervalSeconds, duration / maxFrames);
+
+    return {
+      interval,
+      frames: Math.max(1, Math.ceil(duration / interval)),
+      tileWidth,
+      tileHeight: even(width && height ? tileWidth * height / width : tileWidth * 9 / 16),
+      columns,
+      rows
+    };
+  }
+
+  buildStoryboardIndex(layout, duration) {
+    const { interval, frames, tileWidth, tileHeight, columns, rows } = layout;
+    const perSheet = columns * rows;
+    const lines = ['WEBVTT', ''];
+
+    for (let frame = 0; frame < frames; frame++) {
+      const sheet = `sprite-${String(Math.floor(frame / perSheet) + 1).padStart(3, '0')}.jpg`;
+      const tile = frame % perSheet;
+      const x = (tile % columns) * tileWidth;
+      const y = Math.floor(tile / columns) * tileHeight;
+      const start = frame * interval;
+      const end = frame === frames - 1 && duration > start ? duration : (frame + 1) * interval;
+
+      lines.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}`);
+      lines.push(`${sheet}#xywh=${x},${y},${tileWidth},${tileHeight}`);
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  // Writes the sprite sheets and their index into outputDir
+  async renderStoryboard(inputPath, outputDir, source) {
+    const layout = this.getStoryboardLayout(source);
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .outputOptions([
+          `-vf fps=${1 / layout.interval},scale=${layout.tileWidth}:${layout.tileHeight},tile=${layout.columns}x${layout.rows}`,
+          '-q:v 5'
+        ])
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to render storyboard: ${err.message}`)))
+        .save(path.join(outputDir, 'sprite-%03d.jpg'));
+    });
+
+    await fs.writeFile(path.join(outputDir, config.storyboard.index), this.buildStoryboardIndex(layout, source.duration));
+  }
+
+  // Short muted H.264 loop from a quarter into the video
+  async renderAnimatedPreview(inputPath, outputPath, { duration }) {
+    const { startFraction, durationSeconds, width, fps } = config.animated;
+    const start = Math.max(0, Math.min(duration * startFraction, duration - durationSeconds));
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .seekInput(start)
+        .duration(Math.min(durationSeconds, duration || durationSeconds))
+        .noAudio()
+        .videoCodec('libx264')
+        .outputOptions([
+          `-vf fps=${fps},scale='min(${width},iw)':-2`,
+          '-pix_fmt yuv420p',
+          '-crf 28',
+          '-preset veryfast',
+          '-movflags +faststart'
+        ])
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to render animated preview: ${err.message}`)))
+        .save(outputPath);
+    });
+  }
+
+  // Renders and uploads both previews, returns them as video fields. The
+  // storyboard index is uploaded last so it only appears once complete.
+  async generate(inputPath, keyPrefix, workDir) {
+    const storyboardDir = path.join(workDir, 'storyboard');
+    await fs.mkdir(storyboardDir, { recursive: true });
+
+    const source = await this.probe(inputPath);
+    await this.renderStoryboard(inputPath, storyboardDir, source);
+
+    const previewPath = path.join(workDir, config.animated.fileName);
+    await this.renderAnimatedPreview(inputPath, previewPath, source);
+
+    const storyboardKey = `${keyPrefix}/thumbnails/storyboard`;
+    const sprites = (await fs.readdir(storyboardDir)).filter(file => config.storyboard.spritePattern.test(file));
+    for (const file of [...sprites, config.storyboard.index]) {
+      await storageClient.uploadFile(videoConfig.bucketName, `${storyboardKey}/${file}`, await fs.readFile(path.join(storyboardDir, file)));
+    }
+
+    const previewKey = `${keyPrefix}/thumbnails/${config.animated.fileName}`;
+    await storageClient.uploadFile(videoConfig.bucketName, previewKey, await fs.readFile(previewPath));
+
+    logger.info(`Storyboard (${sprites.length} sheets) and animated preview uploaded: ${keyPrefix}/thumbnails`);
+    return { storyboardKey, previewKey };
+  }
+
+  // Whitelists the files a client may request below a storyboard prefix
+  isValidStoryboardFile(fileName) {
+    return fileName === config.storyboard.index || config.storyboard.spritePattern.test(fileName);
+  }
+
+  getContentType(fileName) {
+    return CONTENT_TYPES[path.extname(fileName)] || 'application/octet-stream';
+  }
+}
+
+module.exports = new PreviewService();
@@ -0,0 +1,206 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const storageClient = require('../configs/storage');
+const videoConfig = require('../configs/video-service-config');
+const config = require('../configs/profile-config');
+const visibilityService = require('./visibilityService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PUBLIC_PROFILE_SELECT = {
+  id: true,
+  username: true,
+  displayName: true,
+  bio: true,
+  links: true,
+  avatar: true,
+  isInfluencer: true,
+  followers: true,
+  following: true,
+  createdAt: true,
+  badges: {
+    select: {
+      id: true,
+      name: true,
+      description: true,
+      earnedAt: true
+    },
+    orderBy: { earnedAt: 'desc' }
+  }
+};
+
+// The video count only includes what the feeds list publicly
+const getPublicProfileSelect = async () => ({
+  ...PUBLIC_PROFILE_SELECT,
+  _count: {
+    select: {
+      videos: { where: { status: 'READY', ...(await visibilityService.getListingFilter()) } }
+    }
+  }
+});
+
+const toPublicProfile = ({ _count, followers, following, ...profile }) => ({
+  ...profile,
+  stats: {
+    videos: _count.videos,
+    followers,
+    following
+  }
+});
+
+class ProfileService {
+  async getPublicProfile(username) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { username },
+        select: await getPublicProfileSelect()
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return toPublicProfile(user);
+    } catch (error) {
+      logger.error('Error getting public profile:', error);
+      throw error;
+    }
+  }
+
+  async updateProfile(userId, { username, displayName, bio, links }) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId }
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const data = {};
+
+      if (username !== undefined && username !== user.username) {
+        const cooldownEnds = user.usernameChangedAt &&
+          new Date(user.usernameChangedAt.getTime() + config.usernameCooldownDays * DAY_MS);
+        if (cooldownEnds && cooldownEnds > new Date()) {
+          throw new Error(`Username can only be changed every ${config.usernameCooldownDays} days, next change allowed after ${cooldownEnds.toISOString()}`);
+        }
+
+        const taken = await prisma.user.findUnique({
+          where: { username },
+          select: { id: true }
+        });
+        if (taken) {
+          throw new Error('Username already taken');
+        }
+
+        data.username = username;
+        data.usernameChangedAt = new Date();
+      }
+
+      if (displayName !== undefined) data.displayName = displayName || null;
+      if (bio !== undefined) data.bio = bio || null;
+      if (links !== undefined) data.links = [...new Set(links)];
+
+      try {
+        const updatedUser = await prisma.user.update({
+          where: { id: userId },
+          data,
+          select: await getPublicProfileSelect()
+        });
+        return toPublicProfile(updatedUser);
+      } catch (error) {
+        // Lost a race for the same username
+        if (error.code === 'P2002') {
+          throw new Error('Username already taken');
+        }
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error updating profile:', error);
+      throw error;
+    }
+  }
+
+  // Crops the image to a square and scales it down with ffmpeg
+  async resizeAvatar(inputPath, outputPath) {
+    const size = config.avatarSize;
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .outputOptions([
+          `-vf scale=${size}:${size}:force_original_aspect_ratio=increase,crop=${size}:${size}`,
+          '-frames:v 1',
+          '-q:v 3'
+        ])
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to resize avatar: ${err.message}`)))
+        .save(outputPath);
+    });
+  }
+
+  async updateAvatar(userId, file) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'avatar-'));
+    const inputPath = path.join(tempDir, 'source');
+    const outputPath = path.join(tempDir, 'avatar.jpg');
+
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, avatarKey: true }
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await fs.writeFile(inputPath, file.buffer);
+      await this.resizeAvatar(inputPath, outputPath);
+
+      const timestamp = Date.now();
+      const avatarKey = `avatars/${userId}/${timestamp}.jpg`;
+      await storageClient.uploadFile(videoConfig.bucketName, avatarKey, await fs.readFile(outputPath));
+
+      const updatedUser = await prisma.user.update({
+        where: { id: userId },
+        data: {
+          avatarKey,
+          avatar: `${config.getPublicBaseUrl()}/api/users/${userId}/avatar?v=${timestamp}`
+        },
+        select: { id: true, username: true, avatar: true }
+      });
+
+      if (user.avatarKey) {
+        await storageClient.deleteFile(videoConfig.bucketName, user.avatarKey).catch((error) => {
+          logger.error(`Error deleting previous avatar ${user.avatarKey}:`, error);
+        });
+      }
+
+      return updatedUser;
+    } catch (error) {
+      logger.error('Error updating avatar:', error);
+      throw error;
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  async getAvatarStream(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { avatarKey: true }
+    });
+
+    if (!user || !user.avatarKey) {
+      throw new Error('Avatar not found');
+    }
+
+    return storageClient.getFile(videoConfig.bucketName, user.avatarKey);
+  }
+}
+
+module.exports = new ProfileService();
@@ -0,0 +1,176 @@
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const config = require('../configs/publishing-config');
+
+const SCHEDULED_VIDEO_SELECT = {
+  id: true,
+  title: true,
+  thumbnailUrl: true,
+  status: true,
+  visibility: true,
+  publishStatus: true,
+  publishAt: true,
+  createdAt: true
+};
+
+// Drafts stay with their creator until published by hand; scheduled videos
+// are published by the scheduler once publishAt has passed. All state lives
+// on the video row, so a restarted scheduler simply catches up.
+class PublishingService {
+  // Publish state for a new video, defaults to published right away
+  getInitialState({ draft = false, publishAt } = {}) {
+    if (draft) {
+      return { publishStatus: 'DRAFT', publishAt: null, publishedAt: null };
+    }
+    if (publishAt) {
+      return { publishStatus: 'SCHEDULED', publishAt: new Date(publishAt), publishedAt: null };
+    }
+    return { publishStatus: 'PUBLISHED', publishAt: null, publishedAt: new Date() };
+  }
+
+  async getOwnedVideo(videoId, userId) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { id: true, userId: true, publishStatus: true, publishAt: true }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    if (video.userId !== userId) {
+      throw new Error('Not authorized to publish this video');
+    }
+    if (video.publishStatus === 'PUBLISHED') {
+      throw new Error('Video is already published');
+    }
+
+    return video;
+  }
+
+  // Moves an unpublished video to a new state, unless it changed since it was read
+  async transition(video, data) {
+    const { count } = await prisma.video.updateMany({
+      where: { id: video.id, publishStatus: video.publishStatus, publishAt: video.publishAt },
+      data
+    });
+
+    if (count === 0) {
+      throw new Error('Video publish state changed concurrently, please retry');
+    }
+
+    return prisma.video.findUnique({
+      where: { id: video.id },
+      select: SCHEDULED_VIDEO_SELECT
+    });
+  }
+
+  // The creator's drafts and scheduled videos, next to go live first
+  async listUnpublished(userId) {
+    try {
+      return await prisma.video.findMany({
+        where: { userId, publishStatus: { in: ['DRAFT', 'SCHEDULED'] } },
+        orderBy: [{ publishAt: { sort: 'asc', nulls: 'last' } }, { createdAt: 'desc' }],
+        take: config.listLimit,
+        select: SCHEDULED_VIDEO_SELECT
+      });
+    } catch (error) {
+      logger.error('Error listing unpublished videos:', error);
+      throw error;
+    }
+  }
+
+  // Schedules a draft or moves an already scheduled video to a new time
+  async schedule(videoId, userId, publishAt) {
+    try {
+      const video = await this.getOwnedVideo(videoId, userId);
+      const scheduled = await this.transition(video, {
+        publishStatus: 'SCHEDULED',
+        publishAt: new Date(publishAt)
+      });
+
+      logger.info(`Video ${videoId} scheduled for ${scheduled.publishAt.toISOString()}`);
+      return scheduled;
+    } catch (error) {
+      logger.error('Error scheduling video:', error);
+      throw error;
+    }
+  }
+
+  // Turns a scheduled video back into a draft
+  async cancelSchedule(videoId, userId) {
+    try {
+      const video = await this.getOwnedVideo(videoId, userId);
+      if (video.publishStatus !== 'SCHEDULED') {
+        throw new Error('Video is not scheduled');
+      }
+
+      const draft = await this.transition(video, { publishStatus: 'DRAFT', publishAt: null });
+
+      logger.info(`Schedule for video ${videoId} cancelled`);
+      return draft;
+    } catch (error) {
+      logger.error('Error cancelling scheduled video:', error);
+      throw error;
+    }
+  }
+
+  async publishNow(videoId, userId) {
+    try {
+      const video = await this.getOwnedVideo(videoId, userId);
+      const published = await this.transition(video, {
+        publishStatus: 'PUBLISHED',
+        publishAt: null,
+        publishedAt: new Date()
+      });
+
+      logger.info(`Video ${videoId} published by its creator`);
+      return published;
+    } catch (error) {
+      logger.error('Error publishing video:', error);
+      throw error;
+    }
+  }
+
+  // Publishes scheduled videos that are due. Each update is conditional on
+  // the schedule that was read, so concurrent schedulers and reschedules
+  // never publish a video twice or early.
+  async publishDue(now = new Date()) {
+    try {
+      const due = await prisma.video.findMany({
+        where: { publishStatus: 'SCHEDULED', publishAt: { lte: now } },
+        orderBy: { publishAt: 'asc' },
+        take: config.schedulerBatchSize,
+        select: { id: true, publishAt: true }
+      });
+
+      let published = 0;
+      for (const video of due) {
+        const { count } = await prisma.video.updateMany({
+          where: { id: video.id, publishStatus: 'SCHEDULED', publishAt: video.publishAt },
+          data: { publishStatus: 'PUBLISHED', publishedAt: now }
+        });
+        published += count;
+      }
+
+      if (published > 0) {
+        logger.info(`Published ${published} scheduled videos`);
+      }
+      return published;
+    } catch (error) {
+      logger.error('Error publishing scheduled videos:', error);
+      throw error;
+    }
+  }
+
+  // Catches up on anything that came due while no scheduler was running
+  startScheduler() {
+    const run = () => this.publishDue().catch(() => {});
+    run();
+
+    const timer = setInterval(run, config.schedulerIntervalSeconds * 1000);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = new PublishingService();
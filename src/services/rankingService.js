@@ -0,0 +1,223 @@
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const config = require('../configs/ranking-config');
+const videoService = require('./videoService');
+const followService = require('./followService');
+const impressionService = require('./impressionService');
+const visibilityService = require('./visibilityService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const saturate = (count, halfSaturation) => count / (count + halfSaturation);
+
+// Scales every value in the map into [0, 1] relative to the largest one
+const normalize = (weights) => {
+  const max = Math.max(0, ...weights.values());
+  const normalized = new Map();
+  for (const [key, value] of weights) {
+    normalized.set(key, max > 0 ? value / max : 0);
+  }
+  return normalized;
+};
+
+const addWeight = (weights, key, amount) => {
+  weights.set(key, (weights.get(key) || 0) + amount);
+};
+
+// Ranking order: score, then recency, then id so results are deterministic
+const compareRanked = (a, b) => b.score - a.score || b.time - a.time || a.id.localeCompare(b.id);
+
+class RankingService {
+  // Tag and creator affinities of a viewer, derived from their recent likes,
+  // watches (weighted by completion) and follows
+  async buildViewerProfile(userId, now = new Date()) {
+    const since = new Date(now.getTime() - config.affinityWindowDays * DAY_MS);
+    const videoSelect = { select: { userId: true, tags: true } };
+
+    const [likes, watches, followingIds] = await Promise.all([
+      prisma.like.findMany({
+        where: { userId, createdAt: { gte: since } },
+        select: { video: videoSelect }
+      }),
+      prisma.watchEvent.findMany({
+        where: { userId, updatedAt: { gte: since } },
+        select: { completion: true, video: videoSelect }
+      }),
+      followService.getFollowingIds(userId)
+    ]);
+
+    const tagWeights = new Map();
+    const creatorWeights = new Map();
+    const interactions = [
+      ...likes.map(like => ({ video: like.video, weight: 1 })),
+      ...watches.map(watch => ({ video: watch.video, weight: watch.completion }))
+    ];
+
+    for (const { video, weight } of interactions) {
+      addWeight(creatorWeights, video.userId, weight);
+      for (const tag of video.tags || []) {
+        addWeight(tagWeights, tag.toLowerCase(), weight);
+      }
+    }
+
+    return {
+      tags: normalize(tagWeights),
+      creators: normalize(creatorWeights),
+      followedCreators: new Set(followingIds)
+    };
+  }
+
+  // Scores one candidate; pure so it can be tested against fixed inputs
+  scoreVideo(video, completion, profile, now = new Date()) {
+    const ageHours = Math.max(0, now.getTime() - new Date(video.publishedAt || video.createdAt).getTime()) / HOUR_MS;
+    const tags = (video.tags || []).map(tag => tag.toLowerCase());
+
+    const signals = {
+      completion,
+      likes: saturate(video.stats.likes, config.likesHalfSaturation),
+      comments: saturate(video.stats.comments, config.commentsHalfSaturation),
+      tagAffinity: Math.max(0, ...tags.map(tag => profile.tags.get(tag) || 0)),
+      creatorAffinity: profile.followedCreators.has(video.user.id)
+        ? 1
+        : profile.creators.get(video.user.id) || 0,
+      freshness: Math.pow(0.5, ageHours / config.freshnessHalfLifeHours)
+    };
+
+    const components = {};
+    let score = 0;
+    for (const [name, value] of Object.entries(signals)) {
+      const contribution = value * config.weights[name];
+      components[name] = { value, weight: config.weights[name], contribution };
+      score += contribution;
+    }
+
+    return { score, components };
+  }
+
+  // Average completion per video, pulled toward a prior for small samples
+  async getCompletionRates(videoIds) {
+    const stats = await prisma.watchEvent.groupBy({
+      by: ['videoId'],
+      where: { videoId: { in: videoIds } },
+      _avg: { completion: true },
+      _count: { _all: true }
+    });
+
+    const { completionPrior, completionPriorWeight } = config;
+    const rates = new Map();
+    for (const stat of stats) {
+      const count = stat._count._all;
+      const average = stat._avg.completion || 0;
+      rates.set(stat.videoId, (average * count + completionPrior * completionPriorWeight) / (count + completionPriorWeight));
+    }
+    return rates;
+  }
+
+  async getCandidates(userId, now) {
+    const seenSince = new Date(now.getTime() - config.seenWindowHours * HOUR_MS);
+    const [recentWatches, impressedIds, visibleTo] = await Promise.all([
+      prisma.watchEvent.findMany({
+        where: { userId, updatedAt: { gte: seenSince } },
+        select: { videoId: true }
+      }),
+      impressionService.getSeenVideoIds(userId, now),
+      visibilityService.getListingFilter(userId)
+    ]);
+    const seenIds = [...new Set([...recentWatches.map(watch => watch.videoId), ...impressedIds])];
+
+    const videos = await prisma.video.findMany({
+      take: config.candidatePoolSize,
+      where: {
+        userId: { not: userId },
+        id: { notIn: seenIds },
+        status: 'READY',
+        AND: [visibleTo],
+        publishedAt: { gte: new Date(now.getTime() - config.candidateWindowDays * DAY_MS) }
+      },
+      orderBy: { publishedAt: 'desc' },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            avatar: true
+          }
+        },
+        _count: {
+          select: {
+            likes: true,
+            comments: true
+          }
+        }
+      }
+    });
+
+    return videos.map(video => videoService.transformVideo(video));
+  }
+
+  // Keyset cursor: the last served video's position in the ranking and the
+  // clock the ranking was computed with, so later pages score alike
+  encodeCursor(now, { score, time, id }) {
+    return Buffer.from(JSON.stringify({ t: now.getTime(), s: score, p: time, i: id })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { t, s, p, i } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (![t, s, p].every(Number.isFinite) || typeof i !== 'string') {
+        throw new Error();
+      }
+      return { now: new Date(t), after: { score: s, time: p, id: i } };
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  // Ranked "For You" feed. Candidates exclude videos recently watched or
+  // impressed, so the list shrinks as the viewer scrolls; the cursor marks
+  // the last video served rather than an offset into the list.
+  async getForYouFeed(userId, cursor, limit = 10, { debug = false, now = new Date() } = {}) {
+    try {
+      const position = cursor ? this.decodeCursor(cursor) : { now, after: null };
+      const [profile, candidates] = await Promise.all([
+        this.buildViewerProfile(userId, position.now),
+        this.getCandidates(userId, position.now)
+      ]);
+      const completionRates = await this.getCompletionRates(candidates.map(video => video.id));
+
+      const ranked = candidates
+        .map((video) => {
+          const ranking = this.scoreVideo(
+            video,
+            completionRates.has(video.id) ? completionRates.get(video.id) : config.completionPrior,
+            profile,
+            position.now
+          );
+          return {
+            video,
+            ranking,
+            key: { score: ranking.score, time: new Date(video.publishedAt || video.createdAt).getTime(), id: video.id }
+          };
+        })
+        .filter(({ key }) => !position.after || compareRanked(key, position.after) > 0)
+        .sort((a, b) => compareRanked(a.key, b.key));
+
+      const page = ranked.slice(0, limit);
+      const hasMore = ranked.length > limit;
+
+      const videos = await videoService.withPlayback(page.map(({ video }) => video), userId);
+
+      return {
+        videos: videos.map((video, index) => (debug ? { ...video, ranking: page[index].ranking } : video)),
+        nextCursor: hasMore ? this.encodeCursor(position.now, page[page.length - 1].key) : null,
+        hasMore
+      };
+    } catch (error) {
+      logger.error('Error fetching For You feed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RankingService();
@@ -0,0 +1,132 @@
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const config = require('../configs/role-config');
+
+class RoleService {
+  normalizeRole(role) {
+    const normalized = typeof role === 'string' ? role.toUpperCase() : null;
+    if (!config.roles.includes(normalized)) {
+      throw new Error(`Invalid role: ${role}`);
+    }
+    return normalized;
+  }
+
+  // Admins pass every role check
+  hasRole(user, roles) {
+    if (!user || !user.role) {
+      return false;
+    }
+    return user.role === 'ADMIN' || roles.map(role => this.normalizeRole(role)).includes(user.role);
+  }
+
+  // Changes a user's role and records the change in the audit table
+  async grantRole(userId, role, { grantedById = null, reason = null } = {}) {
+    try {
+      const nextRole = this.normalizeRole(role);
+
+      return await prisma.$transaction(async (tx) => {
+        const user = await tx.user.findUnique({
+          where: { id: userId },
+          select: { id: true, role: true }
+        });
+
+        if (!user) {
+          throw new Error('User not found');
+        }
+
+        const updatedUser = await tx.user.update({
+          where: { id: userId },
+          data: { role: nextRole },
+          select: { id: true, username: true, role: true }
+        });
+
+        const grant = await tx.roleGrant.create({
+          data: {
+            userId,
+            role: nextRole,
+            previousRole: user.role,
+            grantedById,
+            reason
+          }
+        });
+
+        logger.info(`Role of user ${userId} changed from ${user.role} to ${nextRole} by ${grantedById || 'system'}`);
+        return { user: updatedUser, grant };
+      });
+    } catch (error) {
+      logger.error('Error granting role:', error);
+      throw error;
+    }
+  }
+
+  async getRoleHistory(userId) {
+    try {
+      return await prisma.roleGrant.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' },
+        include: {
+          grantedBy: {
+            select: {
+              id: true,
+              username: true
+            }
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting role history:', error);
+      throw error;
+    }
+  }
+
+  // Recomputes influencer status from the configured criteria and caches it
+  async refreshInfluencerStatus(userId) {
+    try {
+      const { minVideos, minFollowers, minTotalViews } = config.influencer;
+
+      const [user, videoStats] = await Promise.all([
+        prisma.user.findUnique({
+          where: { id: userId },
+          select: { followers: true }
+        }),
+        prisma.video.aggregate({
+          where: { userId },
+          _count: { _all: true },
+          _sum: { views: true }
+        })
+      ]);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const isInfluencer = videoStats._count._all >= minVideos &&
+        user.followers >= minFollowers &&
+        (videoStats._sum.views || 0) >= minTotalViews;
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: {
+          isInfluencer,
+          influencerCheckedAt: new Date()
+        }
+      });
+
+      return isInfluencer;
+    } catch (error) {
+      logger.error('Error refreshing influencer status:', error);
+      throw error;
+    }
+  }
+
+  // Uses the cached flag while it is fresh, otherwise recomputes it
+  async isInfluencer(user) {
+    const ttl = config.influencer.cacheTtlMinutes * 60 * 1000;
+    if (user.influencerCheckedAt && Date.now() - new Date(user.influencerCheckedAt).getTime() < ttl) {
+      return user.isInfluencer;
+    }
+    return this.refreshInfluencerStatus(user.id);
+  }
+}
+
+module.exports = new RoleService();
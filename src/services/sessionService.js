@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const config = require('../configs/auth-config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret) {
+    throw new Error('Invalid refresh token');
+  }
+  return { sessionId, secret };
+};
+
+class SessionService {
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { id: user.id, username: user.username, sid: sessionId },
+      config.jwtSecret,
+      { expiresIn: config.accessTokenTtl }
+    );
+  }
+
+  // Starts a new session (token family) for a freshly authenticated user
+  async createSession(user, { userAgent, ipAddress } = {}) {
+    try {
+      const secret = crypto.randomBytes(32).toString('base64url');
+      const session = await prisma.session.create({
+        data: {
+          userId: user.id,
+          refreshTokenHash: hashSecret(secret),
+          userAgent: userAgent || null,
+          ipAddress: ipAddress || null,
+          expiresAt: new Date(Date.now() + config.refreshTokenTtlDays * DAY_MS)
+        }
+      });
+
+      return {
+        token: this.signAccessToken(user, session.id),
+        refreshToken: `${session.id}.${secret}`,
+        session
+      };
+    } catch (error) {
+      logger.error('Error creating session:', error);
+      throw error;
+    }
+  }
+
+  // Exchanges a refresh token for a new access/refresh pair. Presenting any
+  // token the session already rotated out means it leaked, so the whole
+  // session is revoked; any other mismatch is only rejected, since session
+  // ids are not secret and must not let anyone log the owner out.
+  async refresh(refreshToken, { userAgent, ipAddress } = {}) {
+    const { sessionId, secret } = parseRefreshToken(refreshToken);
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      include: { user: true }
+    });
+
+    if (!session || session.revokedAt) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const secretHash = hashSecret(secret);
+    if (session.refreshTokenHash !== secretHash) {
+      if (session.rotatedRefreshTokenHashes.includes(secretHash)) {
+        await this.revokeSession(session.userId, session.id, 'REUSE_DETECTED');
+        logger.warn(`Refresh token reuse detected for session ${session.id}, session revoked`);
+      }
+      throw new Error('Invalid refresh token');
+    }
+
+    if (session.expiresAt < new Date()) {
+      throw new Error('Refresh token expired');
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+
+    // Conditional update so two concurrent refreshes cannot both rotate
+    const { count } = await prisma.session.updateMany({
+      where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      data: {
+        refreshTokenHash: hashSecret(nextSecret),
+        rotatedRefreshTokenHashes: { push: session.refreshTokenHash },
+        generation: { increment: 1 },
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + config.refreshTokenTtlDays * DAY_MS),
+        ...(userAgent && { userAgent }),
+        ...(ipAddress && { ipAddress })
+      }
+    });
+
+    if (count === 0) {
+      await prisma.session.updateMany({
+        where: { id: session.id, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: 'REUSE_DETECTED' }
+      });
+      throw new Error('Invalid refresh token');
+    }
+
+    return {
+      token: this.signAccessToken(session.user, session.id),
+      refreshToken: `${session.id}.${nextSecret}`
+    };
+  }
+
+  // Resolves an access token to its user, rejecting revoked sessions
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, config.jwtSecret);
+
+    if (!decoded.sid) {
+      throw new Error('Invalid token');
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sid },
+      include: { user: true }
+    });
+
+    if (!session || session.revokedAt || session.userId !== decoded.id) {
+      throw new Error('Session revoked');
+    }
+
+    return { user: session.user, sessionId: session.id };
+  }
+
+  async listSessions(userId) {
+    try {
+      return await prisma.session.findMany({
+        where: {
+          userId,
+          revokedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        select: {
+          id: true,
+          userAgent: true,
+          ipAddress: true,
+          createdAt: true,
+          lastUsedAt: true,
+          expiresAt: true
+        },
+        orderBy: { lastUsedAt: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error listing sessions:', error);
+      throw error;
+    }
+  }
+
+  async revokeSession(userId, sessionId, reason = 'LOGOUT') {
+    try {
+      const { count } = await prisma.session.updateMany({
+        where: { id: sessionId, userId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+      });
+
+      if (count === 0) {
+        throw new Error('Session not found');
+      }
+
+      logger.info(`Session ${sessionId} revoked (${reason})`);
+    } catch (error) {
+      logger.error('Error revoking session:', error);
+      throw error;
+    }
+  }
+
+  async revokeAllSessions(userId, reason = 'LOGOUT_ALL') {
+    try {
+      const { count } = await prisma.session.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date(), revokedReason: reason }
+      });
+
+      logger.info(`Revoked ${count} sessions for user ${userId}`);
+      return count;
+    } catch (error) {
+      logger.error('Error revoking sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,208 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const os = require('os');
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const storageClient = require('../configs/storage');
+const videoConfig = require('../configs/video-service-config');
+const playbackConfig = require('../configs/playback-config');
+const config = require('../configs/thumbnail-config');
+
+// Cover images of a video. Processing extracts a few candidate frames and
+// picks one; the creator can later choose another candidate or upload a
+// custom image. Covers are stored in every configured size under versioned
+// keys so cached URLs never show a stale image.
+class ThumbnailService {
+  // Renders one JPEG from an image, or from a video frame at `seekSeconds`
+  async renderJpeg(inputPath, outputPath, width, seekSeconds) {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath);
+      if (seekSeconds !== undefined) {
+        command.seekInput(seekSeconds);
+      }
+
+      command
+        .outputOptions([
+          `-vf scale='min(${width},iw)':-2`,
+          '-frames:v 1',
+          `-q:v ${config.jpegQuality}`
+        ])
+        .on('end', resolve)
+        .on('error', (err) => reject(new Error(`Failed to render image: ${err.message}`)))
+        .save(outputPath);
+    });
+
+    const stats = await fs.stat(outputPath);
+    if (stats.size === 0) {
+      throw new Error('Rendered image is empty');
+    }
+  }
+
+  async extractCandidates(videoPath, outputDir, duration) {
+    const candidates = [];
+    for (const [index, position] of config.candidatePositions.entries()) {
+      const candidatePath = path.join(outputDir, `candidate-${index}.jpg`);
+      const seconds = Math.max(0, Math.min(duration * position, duration - 0.1));
+      await this.renderJpeg(videoPath, candidatePath, config.sizes.poster, seconds);
+      candidates.push(candidatePath);
+    }
+    return candidates;
+  }
+
+  // Sharper frames compress worse, so the largest candidate is a cheap way
+  // to skip blinks, fades and motion blur
+  async pickDefault(candidatePaths) {
+    const sizes = await Promise.all(candidatePaths.map(async (candidatePath) => (await fs.stat(candidatePath)).size));
+    return sizes.indexOf(Math.max(...sizes));
+  }
+
+  // Renders and uploads every cover size, returns the new storage keys
+  async storeCover(keyPrefix, imagePath, workDir) {
+    const version = Date.now();
+    const keys = {};
+
+    for (const [size, width] of Object.entries(config.sizes)) {
+      const outputPath = path.join(workDir, `cover-${size}.jpg`);
+      await this.renderJpeg(imagePath, outputPath, width);
+
+      keys[size] = `${keyPrefix}/thumbnails/cover-${version}-${size}.jpg`;
+      await storageClient.uploadFile(videoConfig.bucketName, keys[size], await fs.readFile(outputPath));
+    }
+
+    return { thumbnailUrl: keys.grid, posterUrl: keys.poster };
+  }
+
+  // Candidates and default cover for a processed video, as video fields
+  async generate(videoPath, keyPrefix, duration, workDir) {
+    await fs.mkdir(workDir, { recursive: true });
+
+    const candidatePaths = await this.extractCandidates(videoPath, workDir, duration);
+    const thumbnailCandidates = [];
+    for (const [index, candidatePath] of candidatePaths.entries()) {
+      const key = `${keyPrefix}/thumbnails/candidate-${index}.jpg`;
+      await storageClient.uploadFile(videoConfig.bucketName, key, await fs.readFile(candidatePath));
+      thumbnailCandidates.push(key);
+    }
+
+    const coverCandidate = await this.pickDefault(candidatePaths);
+    const cover = await this.storeCover(keyPrefix, candidatePaths[coverCandidate], workDir);
+    logger.info(`Thumbnails uploaded: ${keyPrefix}/thumbnails`);
+
+    return { ...cover, thumbnailCandidates, coverCandidate };
+  }
+
+  async getOwnedVideo(videoId, userId) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: {
+        id: true,
+        userId: true,
+        url: true,
+        status: true,
+        thumbnailUrl: true,
+        posterUrl: true,
+        thumbnailCandidates: true,
+        coverCandidate: true
+      }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    if (video.userId !== userId) {
+      throw new Error('Not authorized to change the cover of this video');
+    }
+    if (video.status !== 'READY') {
+      throw new Error('Video is still processing, covers are available once it is ready');
+    }
+
+    return video;
+  }
+
+  getCandidateKey(video, index) {
+    const key = video.thumbnailCandidates[index];
+    if (!Number.isInteger(index) || !key) {
+      throw new Error(`Invalid candidate, expected an index below ${video.thumbnailCandidates.length}`);
+    }
+    return key;
+  }
+
+  async listCandidates(videoId, userId) {
+    const video = await this.getOwnedVideo(videoId, userId);
+    return {
+      coverCandidate: video.coverCandidate,
+      candidates: video.thumbnailCandidates.map((key, index) => ({
+        index,
+        url: `${playbackConfig.getPublicBaseUrl()}/api/content/${videoId}/thumbnails/${index}`
+      }))
+    };
+  }
+
+  async getCandidateStream(videoId, userId, index) {
+    const video = await this.getOwnedVideo(videoId, userId);
+    return storageClient.getFile(videoConfig.bucketName, this.getCandidateKey(video, index));
+  }
+
+  // Stores a new cover from a local image and drops the previous one
+  async replaceCover(video, imagePath, workDir, coverCandidate) {
+    const keyPrefix = path.dirname(video.url);
+    const cover = await this.storeCover(keyPrefix, imagePath, workDir);
+
+    const updated = await prisma.video.update({
+      where: { id: video.id },
+      data: { ...cover, coverCandidate },
+      select: { id: true, thumbnailUrl: true, posterUrl: true, coverCandidate: true }
+    });
+
+    for (const key of [video.thumbnailUrl, video.posterUrl]) {
+      if (key && !key.includes('://')) {
+        await storageClient.deleteFile(videoConfig.bucketName, key).catch((error) => {
+          logger.error(`Error deleting previous cover ${key}:`, error);
+        });
+      }
+    }
+
+    return updated;
+  }
+
+  async selectCandidate(videoId, userId, index) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cover-'));
+
+    try {
+      const video = await this.getOwnedVideo(videoId, userId);
+      const candidatePath = path.join(workDir, 'candidate.jpg');
+      await storageClient.downloadFile(videoConfig.bucketName, this.getCandidateKey(video, index), candidatePath);
+
+      const updated = await this.replaceCover(video, candidatePath, workDir, index);
+      logger.info(`Video ${videoId} cover set to candidate ${index}`);
+      return updated;
+    } catch (error) {
+      logger.error('Error selecting cover candidate:', error);
+      throw error;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async setCustomCover(videoId, userId, file) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cover-'));
+
+    try {
+      const video = await this.getOwnedVideo(videoId, userId);
+      const sourcePath = path.join(workDir, 'source');
+      await fs.writeFile(sourcePath, file.buffer);
+
+      const updated = await this.replaceCover(video, sourcePath, workDir, null);
+      logger.info(`Video ${videoId} cover set to a custom image`);
+      return updated;
+    } catch (error) {
+      logger.error('Error setting custom cover:', error);
+      throw error;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new ThumbnailService();
@@ -1,7 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
-const { WorldID } = require('@worldcoin/minikit-js');
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const worldIdService = require('./worldIdService');
 const redisClient = require('../configs/redis');
 const prisma = require('../configs/database');
 
@@ -251,10 +251,9 @@ class TokenService {
         throw new Error('User not found');
       }
 
-      // Verify World ID
-      const isVerified = await WorldID.verify(user.worldId);
-      if (!isVerified) {
-        throw new Error('Invalid World ID');
+      // Rewards are only paid out to World ID verified humans
+      if (!worldIdService.isVerified(user)) {
+        throw new Error('World ID not verified');
       }
 
       // Record transaction in database
@@ -311,10 +310,9 @@ class TokenService {
         throw new Error('User not found');
       }
 
-      // Verify World ID
-      const isVerified = await WorldID.verify(user.worldId);
-      if (!isVerified) {
-        throw new Error('Invalid World ID');
+      // Rewards are only paid out to World ID verified humans
+      if (!worldIdService.isVerified(user)) {
+        throw new Error('World ID not verified');
       }
 
       // Calculate total earnings from videos
@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const storageClient = require('../configs/storage');
+const config = require('../configs/upload-config');
+const videoConfig = require('../configs/video-service-config');
+const videoService = require('./videoService');
+const { assertTrimWithinLimit } = require('../utils/trim');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const toUploadStatus = (session) => ({
+  id: session.id,
+  fileName: session.fileName,
+  title: session.title,
+  description: session.description,
+  visibility: session.visibility,
+  draft: session.draft,
+  publishAt: session.publishAt,
+  trimStart: session.trimStart,
+  trimEnd: session.trimEnd,
+  normalizeAudio: session.normalizeAudio,
+  mimeType: session.mimeType,
+  size: session.size,
+  offset: session.receivedBytes,
+  direct: Boolean(session.objectKey),
+  status: session.status,
+  expiresAt: session.expiresAt,
+  videoId: session.videoId,
+  error: session.error
+});
+
+class UploadSessionService {
+  getStagingPath(sessionId) {
+    return path.join(config.stagingDir, sessionId);
+  }
+
+  getExpiry(now = new Date()) {
+    return new Date(now.getTime() + config.sessionTtlHours * HOUR_MS);
+  }
+
+  async createSession(userId, { fileName, mimeType, size, title, description, visibility, draft, publishAt, trimStart, trimEnd, normalizeAudio }) {
+    try {
+      if (size > videoConfig.maxVideoSize) {
+        throw new Error(`Upload too large, the maximum size is ${videoConfig.maxVideoSize} bytes`);
+      }
+      assertTrimWithinLimit({ trimStart, trimEnd }, await videoService.getMaxDuration(userId));
+
+      const session = await prisma.uploadSession.create({
+        data: {
+          userId,
+          fileName,
+          mimeType,
+          size,
+          title: title || null,
+          description: description || null,
+          visibility,
+          draft,
+          publishAt,
+          trimStart,
+          trimEnd,
+          normalizeAudio,
+          expiresAt: this.getExpiry()
+        }
+      });
+
+      await fs.mkdir(config.stagingDir, { recursive: true });
+      await fs.writeFile(this.getStagingPath(session.id), Buffer.alloc(0));
+
+      logger.info(`Upload session ${session.id} created for user ${userId} (${size} bytes)`);
+      return toUploadStatus(session);
+    } catch (error) {
+      logger.error('Error creating upload session:', error);
+      throw error;
+    }
+  }
+
+  // Direct upload: the client PUTs the file to a presigned storage URL and
+  // then calls finalize, so the bytes never pass through this process
+  async createDirectUpload(userId, { fileName, mimeType, size, title, description, visibility, draft, publishAt, trimStart, trimEnd, normalizeAudio }) {
+    try {
+      if (size > videoConfig.maxVideoSize) {
+        throw new Error(`Upload too large, the maximum size is ${videoConfig.maxVideoSize} bytes`);
+      }
+      assertTrimWithinLimit({ trimStart, trimEnd }, await videoService.getMaxDuration(userId));
+
+      const session = await prisma.uploadSession.create({
+        data: {
+          userId,
+          fileName,
+          mimeType,
+          size,
+          title: title || null,
+          description: description || null,
+          visibility,
+          draft,
+          publishAt,
+          trimStart,
+          trimEnd,
+          normalizeAudio,
+          expiresAt: this.getExpiry()
+        }
+      });
+
+      const safeFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
+      const objectKey = `uploads/${userId}/${session.id}/${safeFileName}`;
+      const uploadUrl = await storageClient.getPresignedUploadUrl(
+        videoConfig.bucketName,
+        objectKey,
+        mimeType,
+        config.presignedUrlTtlSeconds
+      );
+
+      const updated = await prisma.uploadSession.update({
+        where: { id: session.id },
+        data: { objectKey }
+      });
+
+      logger.info(`Direct upload ${session.id} created for user ${userId} (${size} bytes)`);
+      return {
+        ...toUploadStatus(updated),
+        uploadUrl,
+        method: 'PUT',
+        headers: { 'Content-Type': mimeType },
+        urlExpiresAt: new Date(Date.now() + config.presignedUrlTtlSeconds * 1000)
+      };
+    } catch (error) {
+      logger.error('Error creating direct upload:', error);
+      throw error;
+    }
+  }
+
+  async getSession(sessionId, userId) {
+    const session = await prisma.uploadSession.findUnique({
+      where: { id: sessionId }
+    });
+
+    if (!session || session.userId !== userId) {
+      throw new Error('Upload session not found');
+    }
+
+    return session;
+  }
+
+  // Active sessions only; expiry is also enforced here so a chunk arriving
+  // between cleanup runs is still rejected
+  async getActiveSession(sessionId, userId) {
+    const session = await this.getSession(sessionId, userId);
+
+    if (session.status === 'EXPIRED' || (session.status === 'ACTIVE' && session.expiresAt < new Date())) {
+      throw new Error('Upload session has expired');
+    }
+    if (session.status !== 'ACTIVE') {
+      throw new Error(`Upload session is already ${session.status.toLowerCase()}`);
+    }
+
+    return session;
+  }
+
+  async getStatus(sessionId, userId) {
+    const session = await this.getSession(sessionId, userId);
+    return toUploadStatus(session);
+  }
+
+  // Checksum header format follows tus: "<algorithm> <base64 digest>"
+  verifyChecksum(chunk, checksumHeader) {
+    const [algorithm, digest] = (checksumHeader || '').trim().split(/\s+/);
+
+    if (!config.checksumAlgorithms.includes(algorithm) || !digest) {
+      throw new Error(`Unsupported checksum, expected one of: ${config.checksumAlgorithms.join(', ')}`);
+    }
+
+    const expected = Buffer.from(digest, 'base64');
+    const actual = crypto.createHash(algorithm).update(chunk).digest();
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Checksum mismatch');
+    }
+  }
+
+  async appendChunk(sessionId, userId, offset, chunk, checksumHeader) {
+    try {
+      const session = await this.getActiveSession(sessionId, userId);
+
+      if (session.objectKey) {
+        throw new Error('Invalid chunk: this upload goes directly to storage');
+      }
+      if (offset !== session.receivedBytes) {
+        throw new Error(`Upload offset mismatch, expected offset ${session.receivedBytes}`);
+      }
+      if (chunk.length === 0) {
+        throw new Error('Invalid chunk: body is empty');
+      }
+      if (offset + chunk.length > session.size) {
+        throw new Error('Invalid chunk: exceeds the declared upload size');
+      }
+
+      this.verifyChecksum(chunk, checksumHeader);
+
+      const handle = await fs.open(this.getStagingPath(sessionId), 'r+');
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+
+      // Only advance from the offset we wrote at, so a racing request for the
+      // same range cannot move the offset twice
+      const { count } = await prisma.uploadSession.updateMany({
+        where: { id: sessionId, status: 'ACTIVE', receivedBytes: offset },
+        data: {
+          receivedBytes: offset + chunk.length,
+          expiresAt: this.getExpiry()
+        }
+      });
+
+      if (count === 0) {
+        throw new Error('Upload offset mismatch, another chunk was written concurrently');
+      }
+
+      return this.getStatus(sessionId, userId);
+    } catch (error) {
+      logger.error(`Error appending chunk to upload ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  // Checks that a direct upload actually landed in storage as declared
+  async verifyStoredObject(session) {
+    const stat = await storageClient.statFile(videoConfig.bucketName, session.objectKey);
+
+    if (!stat) {
+      throw new Error('Upload is incomplete, the file has not been uploaded to storage yet');
+    }
+    if (stat.size !== session.size) {
+      throw new Error(`Invalid upload: stored file is ${stat.size} bytes, expected ${session.size}`);
+    }
+    if (stat.contentType && !stat.contentType.startsWith('video/')) {
+      throw new Error(`Invalid upload: stored file has content type ${stat.contentType}`);
+    }
+  }
+
+  // Hands the assembled file to the regular upload pipeline. Direct uploads
+  // are already in storage and are queued for processing where they are.
+  async finalize(sessionId, userId) {
+    const stagingPath = this.getStagingPath(sessionId);
+
+    try {
+      const session = await this.getActiveSession(sessionId, userId);
+
+      if (session.objectKey) {
+        await this.verifyStoredObject(session);
+      } else if (session.receivedBytes !== session.size) {
+        throw new Error(`Upload is incomplete, received ${session.receivedBytes} of ${session.size} bytes`);
+      }
+
+      const { count } = await prisma.uploadSession.updateMany({
+        where: { id: sessionId, status: 'ACTIVE' },
+        data: { status: 'FINALIZING', receivedBytes: session.size }
+      });
+
+      if (count === 0) {
+        throw new Error('Upload session is already being finalized');
+      }
+
+      const metadata = {
+        title: session.title,
+        description: session.description,
+        visibility: session.visibility,
+        draft: session.draft,
+        publishAt: session.publishAt,
+        trimStart: session.trimStart,
+        trimEnd: session.trimEnd,
+        normalizeAudio: session.normalizeAudio
+      };
+      let result;
+      try {
+        if (session.objectKey) {
+          result = await videoService.queueVideo(userId, session.objectKey, session.fileName, metadata);
+        } else {
+          result = await videoService.uploadVideo({
+            path: stagingPath,
+            originalname: session.fileName,
+            mimetype: session.mimeType,
+            size: session.size
+          }, userId, metadata);
+        }
+      } catch (error) {
+        await prisma.uploadSession.update({
+          where: { id: sessionId },
+          data: { status: 'FAILED', error: error.message }
+        });
+        await this.removeUploadData(session);
+        throw error;
+      }
+
+      const completed = await prisma.uploadSession.update({
+        where: { id: sessionId },
+        data: { status: 'COMPLETED', videoId: result.video.id }
+      });
+      // A direct upload's object now belongs to the video
+      await fs.rm(stagingPath, { force: true });
+
+      logger.info(`Upload session ${sessionId} finalized into video ${result.video.id}`);
+      return {
+        upload: toUploadStatus(completed),
+        video: result.video
+      };
+    } catch (error) {
+      logger.error(`Error finalizing upload ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  // Removes the staging file and, for direct uploads, the source object
+  async removeUploadData(session) {
+    await fs.rm(this.getStagingPath(session.id), { force: true });
+
+    if (session.objectKey) {
+      await storageClient.deleteFile(videoConfig.bucketName, session.objectKey).catch((error) => {
+        logger.error(`Error deleting uploaded object ${session.objectKey}:`, error);
+      });
+    }
+  }
+
+  // Expires sessions that stopped making progress and removes their data
+  async cleanupExpiredSessions(now = new Date()) {
+    try {
+      const expired = await prisma.uploadSession.findMany({
+        where: { status: 'ACTIVE', expiresAt: { lt: now } },
+        select: { id: true, objectKey: true }
+      });
+
+      let cleaned = 0;
+      for (const session of expired) {
+        const { id } = session;
+        const { count } = await prisma.uploadSession.updateMany({
+          where: { id, status: 'ACTIVE', expiresAt: { lt: now } },
+          data: { status: 'EXPIRED' }
+        });
+        if (count === 0) continue;
+
+        await this.removeUploadData(session);
+        cleaned++;
+      }
+
+      if (cleaned > 0) {
+        logger.info(`Expired ${cleaned} stale upload sessions`);
+      }
+      return cleaned;
+    } catch (error) {
+      logger.error('Error cleaning up upload sessions:', error);
+      throw error;
+    }
+  }
+
+  startCleanupTimer() {
+    const timer = setInterval(() => {
+      this.cleanupExpiredSessions().catch(() => {});
+    }, config.cleanupIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = new UploadSessionService();
@@ -9,6 +9,24 @@ const prisma = new PrismaClient();
 const logger = require('../utils/logger');
 const storageClient = require('../configs/storage');
 const config = require('../configs/video-service-config');
+const followService = require('./followService');
+const hlsService = require('./hlsService');
+const thumbnailService = require('./thumbnailService');
+const previewService = require('./previewService');
+const captionService = require('./captionService');
+const fingerprintService = require('./fingerprintService');
+const audioService = require('./audioService');
+const playbackService = require('./playbackService');
+const impressionService = require('./impressionService');
+const visibilityService = require('./visibilityService');
+const publishingService = require('./publishingService');
+const jobQueue = require('./jobQueue');
+const queueConfig = require('../configs/queue-config');
+const hlsConfig = require('../configs/hls-config');
+const metadataConfig = require('../configs/metadata-config');
+const { normalizeTags, extractHashtags } = require('../utils/tags');
+const { assertTrimWithinLimit, resolveTrim } = require('../utils/trim');
+const { getDisplayDimensions } = require('../utils/media');
 
 // Mock Redis client
 const redisClient = {
@@ -27,12 +45,21 @@ const redisClient = {
 const ffmpegPromise = promisify(ffmpeg);
 
 const CACHE_DURATION = process.env.CACHE_DURATION || 3600; // Default to 1 hour if not set
+const GLOBAL_CURSOR_PREFIX = 'g:';
+const UNDATED_CURSOR_PREFIX = 'n:';
+const VIDEO_CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm'
+};
 
 class VideoService {
   constructor() {
     this.bucketName = config.bucketName;
     this.maxVideoSize = config.maxVideoSize;
     this.videoRetentionDays = config.videoRetentionDays;
+    jobQueue.registerHandler(queueConfig.jobTypes.processVideo, (payload, job) => this.handleProcessVideoJob(payload, job));
     this.initialize();
   }
 
@@ -81,68 +108,206 @@ class VideoService {
     return path.replace(`${this.bucketName}/`, '');
   }
 
-  async uploadVideo(file, userId) {
-    let contentId = null;
-    let uploadedFiles = [];
-    let createdVideo = null;
-    let redisKey = null;
-
+  // Stores the uploaded original and queues it for processing; ffprobe,
+  // trimming and thumbnails run later in a worker (see processVideo)
+  async uploadVideo(file, userId, metadata = {}) {
     try {
       // Ensure services are initialized
       await this.initialize();
 
-      // Create a unique filename with timestamp
-      const timestamp = Date.now();
-      contentId = `${userId}-${timestamp}`;
-      redisKey = `video:${contentId}`;
-      
-      // Use the original filename but ensure it's safe
-      const safeFileName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
-      const fileName = `${contentId}/${safeFileName}`;
       const filePath = file.path;
 
-      // Verify file exists and is readable
+      // Verify file exists, is readable and is a video
+      let duration;
       try {
         await fs.access(filePath);
         const stats = await fs.stat(filePath);
         if (stats.size === 0) {
           throw new Error('Uploaded file is empty');
         }
+        ({ duration } = await this.probeSource(filePath));
       } catch (error) {
         throw new Error(`Invalid file: ${error.message}`);
       }
 
-      // Get video duration using ffprobe
-      let duration;
+      // Reject clips over the uploader's limit before storing anything
+      resolveTrim(duration, metadata, await this.getMaxDuration(userId));
+
+      // Use the original filename but ensure it's safe
+      const contentId = `${userId}-${Date.now()}`;
+      const safeFileName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+      const sourceKey = `${contentId}/${safeFileName}`;
+
+      const videoBuffer = await fs.readFile(filePath);
+      await storageClient.uploadFile(this.bucketName, sourceKey, videoBuffer);
+      logger.info(`Video source uploaded: ${sourceKey}`);
+
+      return await this.queueVideo(userId, sourceKey, file.originalname, metadata);
+    } catch (error) {
+      logger.error('Error in uploadVideo:', error);
+      throw error;
+    } finally {
+      await fs.rm(file.path, { force: true });
+    }
+  }
+
+  // Creates the video row for an original already in storage and queues
+  // the processing job. The title falls back to the file name; drafts and
+  // scheduled videos stay unlisted until they are published.
+  async queueVideo(userId, sourceKey, fileName, { title, description, tags = [], visibility, draft, publishAt, trimStart, trimEnd, normalizeAudio } = {}) {
+    try {
+      assertTrimWithinLimit({ trimStart, trimEnd }, await this.getMaxDuration(userId));
+
+      const video = await prisma.video.create({
+        data: {
+          userId,
+          title: title || fileName,
+          url: sourceKey,
+          sourceKey,
+          status: 'QUEUED',
+          thumbnailUrl: null,
+          duration: 0,
+          tags: normalizeTags([...tags, ...extractHashtags(description)]),
+          description: description || null,
+          visibility,
+          ...publishingService.getInitialState({ draft, publishAt }),
+          trimStart,
+          trimEnd,
+          normalizeAudio,
+          views: 0,
+          likeCount: 0,
+          tokenReward: 0
+        }
+      });
+
+      await jobQueue.enqueue(queueConfig.jobTypes.processVideo, { videoId: video.id, userId });
+
+      return { video };
+    } catch (error) {
+      logger.error('Error queueing video:', error);
+      throw error;
+    }
+  }
+
+  // Job handler: a failed attempt puts the video back in the queue until
+  // the last attempt, which marks it as failed
+  async handleProcessVideoJob({ videoId }, job) {
+    try {
+      await this.processVideo(videoId);
+    } catch (error) {
+      await prisma.video.update({
+        where: { id: videoId },
+        data: {
+          status: job.attempts >= job.maxAttempts || error.retryable === false ? 'FAILED' : 'QUEUED',
+          processingError: error.message
+        }
+      }).catch((updateError) => {
+        logger.error(`Error recording processing failure for video ${videoId}:`, updateError);
+      });
+      throw error;
+    }
+  }
+
+  // Longest clip the user may publish, in seconds
+  async getMaxDuration(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { role: true }
+    });
+    return config.getMaxDuration(user && user.role);
+  }
+
+  // Duration in seconds, dimensions and presence of audio of a local video file
+  async probeSource(filePath) {
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err) {
+          logger.error('ffprobe error:', err);
+          reject(new Error(`Failed to get video duration: ${err.message}`));
+        } else {
+          resolve(metadata);
+        }
+      });
+    });
+
+    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+    return {
+      duration: metadata.format.duration,
+      dimensions: getDisplayDimensions(videoStream),
+      hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio')
+    };
+  }
+
+  // Probes, cuts the clip selected by the trim points, checks it against
+  // other users' videos, normalizes its loudness, generates the cover
+  // candidates, storyboard and animated preview, encodes the HLS rendition
+  // ladder and finally asks the auto-caption provider for a track
+  async processVideo(videoId) {
+    const timestamp = Date.now();
+    const tempDir = os.tmpdir();
+    const sourcePath = path.join(tempDir, `source-${videoId}-${timestamp}`);
+    const outputPath = path.join(tempDir, `trimmed-${timestamp}.mp4`);
+    const thumbnailDir = path.join(tempDir, `thumbs-${videoId}-${timestamp}`);
+    const previewDir = path.join(tempDir, `previews-${videoId}-${timestamp}`);
+    const fingerprintDir = path.join(tempDir, `fingerprint-${videoId}-${timestamp}`);
+    const audioDir = path.join(tempDir, `audio-${videoId}-${timestamp}`);
+    const hlsDir = path.join(tempDir, `hls-${videoId}-${timestamp}`);
+
+    try {
+      const video = await prisma.video.findUnique({
+        where: { id: videoId }
+      });
+
+      if (!video) {
+        throw new Error('Video not found');
+      }
+      if (video.status === 'READY') {
+        return video;
+      }
+
+      await prisma.video.update({
+        where: { id: videoId },
+        data: { status: 'PROCESSING' }
+      });
+
+      const sourceKey = video.sourceKey;
+      await storageClient.downloadFile(this.bucketName, sourceKey, sourcePath);
+
+      // Get video duration and dimensions using ffprobe
+      let source;
       try {
-        duration = await new Promise((resolve, reject) => {
-        ffmpeg.ffprobe(filePath, (err, metadata) => {
-            if (err) {
-              logger.error('ffprobe error:', err);
-              reject(new Error(`Failed to get video duration: ${err.message}`));
-            } else {
-              resolve(metadata.format.duration);
-            }
-          });
-        });
+        source = await this.probeSource(sourcePath);
       } catch (error) {
         throw new Error(`Failed to process video: ${error.message}`);
       }
+      let { dimensions } = source;
 
-      logger.info(`Video duration: ${duration} seconds`);
+      logger.info(`Video duration: ${source.duration} seconds`);
 
-      // Create output path with timestamp to avoid conflicts
-      const tempDir = os.tmpdir();
-      const outputPath = path.join(tempDir, `trimmed-${timestamp}.mp4`);
-      let finalVideoPath = filePath;
-      let finalFileName = fileName;
+      // Trim points were checked against the source when it was uploaded
+      // here; direct uploads are only probed now. Retrying cannot fix a
+      // clip that is too long, so those fail right away.
+      let trim;
+      try {
+        trim = resolveTrim(source.duration, video, await this.getMaxDuration(video.userId));
+      } catch (error) {
+        error.retryable = false;
+        throw error;
+      }
+      const { duration } = trim;
 
-      // Trim video if it's longer than 30 seconds
-      if (duration > 30) {
+      const baseName = path.basename(sourceKey).replace(/\.[^/.]+$/, '');
+      const keyPrefix = path.dirname(sourceKey);
+      let finalVideoPath = sourcePath;
+      let finalFileName = sourceKey;
+
+      // Cut the selected clip, the whole source is served as uploaded
+      if (trim.needsTrim) {
         try {
           await new Promise((resolve, reject) => {
-            ffmpeg(filePath)
-              .setDuration(30)
+            ffmpeg(sourcePath)
+              .seekInput(trim.start)
+              .setDuration(duration)
               .videoCodec('libx264')
               .videoBitrate('1000k')
               .size('720x?')
@@ -178,188 +343,395 @@ class VideoService {
             throw new Error('Trimmed video file is empty');
           }
           finalVideoPath = outputPath;
-          finalFileName = `${contentId}/trimmed-${safeFileName}`;
+          finalFileName = `${keyPrefix}/trimmed-${baseName}.mp4`;
+          // Trimming scales to 720 wide, the ladder follows the new size
+          if (dimensions.width && dimensions.height) {
+            dimensions = { width: 720, height: Math.round(720 * dimensions.height / dimensions.width / 2) * 2 };
+          }
         } catch (error) {
           throw new Error(`Failed to process trimmed video: ${error.message}`);
         }
       }
 
-      // Generate thumbnail with optimized settings
-      const thumbnailName = `${contentId}/${safeFileName.replace(/\.[^/.]+$/, '')}-thumb.jpg`;
-      const thumbnailPath = path.join(tempDir, `thumb-${timestamp}.jpg`);
-      
-      try {
-        // Generate thumbnail
-        await new Promise((resolve, reject) => {
-          ffmpeg(finalVideoPath)
-            .screenshots({
-              timestamps: ['50%'],
-              filename: path.basename(thumbnailPath),
-              folder: path.dirname(thumbnailPath),
-              size: '320x240'
-            })
-            .outputOptions([
-              '-frames:v 1',
-              '-q:v 2'
-            ])
-            .on('start', (commandLine) => {
-              logger.info('Started thumbnail generation with command:', commandLine);
-            })
-            .on('end', () => {
-              logger.info('Thumbnail generation completed');
-              resolve();
-            })
-            .on('error', (err) => {
-              logger.error('Error generating thumbnail:', err);
-              reject(new Error(`Failed to generate thumbnail: ${err.message}`));
-            })
-            .save(thumbnailPath);
-        });
+      // Copies of other users' videos are flagged for review, or rejected
+      // before the expensive steps below
+      const fingerprint = await fingerprintService.fingerprint(sourcePath, finalVideoPath, fingerprintDir);
+      await fingerprintService.checkDuplicates(video, fingerprint);
 
-        // Verify thumbnail file exists and is readable
-        await fs.access(thumbnailPath);
-        const thumbnailStats = await fs.stat(thumbnailPath);
-        if (thumbnailStats.size === 0) {
-          throw new Error('Generated thumbnail is empty');
+      // Loudness normalization rewrites the clip, which then replaces the
+      // original in storage like a trimmed clip does
+      const audio = source.hasAudio
+        ? await audioService.process(finalVideoPath, keyPrefix, audioDir, { normalize: video.normalizeAudio })
+        : { videoPath: finalVideoPath, fields: { audioNormalized: false } };
+      if (audio.videoPath !== finalVideoPath) {
+        finalVideoPath = audio.videoPath;
+        if (finalFileName === sourceKey) {
+          finalFileName = `${keyPrefix}/normalized-${baseName}.mp4`;
         }
+      }
 
-        // Upload thumbnail to storage
-        const thumbnailBuffer = await fs.readFile(thumbnailPath);
-        await storageClient.uploadFile(this.bucketName, thumbnailName, thumbnailBuffer);
-        logger.info(`Thumbnail uploaded: ${thumbnailName}`);
+      const thumbnails = await thumbnailService.generate(finalVideoPath, keyPrefix, duration, thumbnailDir);
+      const previews = await previewService.generate(finalVideoPath, keyPrefix, previewDir);
 
-        // Upload video to storage
+      // Upload the trimmed or normalized video, otherwise the source is served as uploaded
+      if (finalFileName !== sourceKey) {
         const videoBuffer = await fs.readFile(finalVideoPath);
         await storageClient.uploadFile(this.bucketName, finalFileName, videoBuffer);
         logger.info(`Video uploaded: ${finalFileName}`);
+      }
 
-        // Create video record in database
-        createdVideo = await prisma.video.create({
-          data: {
-            userId,
-            title: file.originalname,
-            url: finalFileName,
-            thumbnailUrl: thumbnailName,
-            duration: Math.min(duration, 30),
-            tags: [],
-            description: null,
-            views: 0,
-            likeCount: 0,
-            tokenReward: 0
-          }
-        });
+      // Adaptive bitrate renditions, master playlist is uploaded last
+      const hlsKey = `${keyPrefix}/hls`;
+      await fs.mkdir(hlsDir, { recursive: true });
+      const hlsFiles = await hlsService.transcode(finalVideoPath, hlsDir, { ...dimensions, hasAudio: source.hasAudio });
+      for (const file of hlsFiles) {
+        await storageClient.uploadFile(this.bucketName, `${hlsKey}/${file}`, await fs.readFile(path.join(hlsDir, file)));
+      }
+      logger.info(`HLS renditions uploaded: ${hlsKey}`);
 
-        // Store in Redis for caching
-        await redisClient.set(
-          redisKey,
-          JSON.stringify({
-            videoUrl: this.getFullUrl(finalFileName),
-            thumbnailUrl: this.getFullUrl(thumbnailName),
-            duration: Math.min(duration, 30)
-          }),
-          'EX',
-          CACHE_DURATION
-        );
-
-        uploadedFiles = [finalVideoPath, thumbnailPath];
-      } catch (error) {
-        logger.error('Error processing video:', error);
-        throw error;
+      const processedVideo = await prisma.video.update({
+        where: { id: videoId },
+        data: {
+          url: finalFileName,
+          ...thumbnails,
+          ...previews,
+          ...fingerprint,
+          ...audio.fields,
+          hlsKey,
+          duration: Math.round(duration),
+          status: 'READY',
+          sourceKey: null,
+          processingError: null,
+          processedAt: new Date()
+        }
+      });
+
+      await captionService.generateAuto(processedVideo, finalVideoPath);
+
+      if (finalFileName !== sourceKey) {
+        await storageClient.deleteFile(this.bucketName, sourceKey).catch((error) => {
+          logger.error(`Error deleting video source ${sourceKey}:`, error);
+        });
       }
 
-      return {
-        video: createdVideo,
-        files: uploadedFiles
-      };
+      // Store in Redis for caching
+      await redisClient.set(
+        `video:${videoId}`,
+        JSON.stringify({
+          videoUrl: this.getFullUrl(finalFileName),
+          thumbnailUrl: this.getFullUrl(thumbnails.thumbnailUrl),
+          duration: processedVideo.duration
+        }),
+        'EX',
+        CACHE_DURATION
+      );
+
+      logger.info(`Video ${videoId} processed`);
+      return processedVideo;
     } catch (error) {
-      logger.error('Error in uploadVideo:', error);
+      logger.error(`Error processing video ${videoId}:`, error);
       throw error;
     } finally {
       // Cleanup temporary files
-      for (const file of uploadedFiles) {
-        try {
-          await fs.unlink(file);
-        } catch (error) {
-          logger.error(`Error deleting temporary file ${file}:`, error);
-        }
+      for (const file of [sourcePath, outputPath, thumbnailDir, previewDir, fingerprintDir, audioDir, hlsDir]) {
+        await fs.rm(file, { recursive: true, force: true });
       }
     }
   }
 
-  async getFeed(cursor, limit = 10, userId) {
-    try {
-      // Convert cursor to Date if provided
-      const cursorDate = cursor ? new Date(parseInt(cursor)) : undefined;
-      
-      // Fetch videos with cursor-based pagination
-      const videos = await prisma.video.findMany({
-        take: limit + 1, // Take one extra to determine if there are more results
-        where: {
-          // Add cursor condition if provided
-          ...(cursorDate && {
-            createdAt: {
-              lt: cursorDate // Less than the cursor date for backwards pagination
-            }
-          })
-        },
-        orderBy: {
-          createdAt: 'desc' // Most recent first
+  // Streams a file below the video's HLS prefix; `file` is either the
+  // master playlist or "<rendition>/<playlist or segment>"
+  async getHlsFile(videoId, file) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { status: true, hlsKey: true }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    if (video.status !== 'READY' || !video.hlsKey) {
+      throw new Error('HLS renditions not found for this video');
+    }
+
+    return storageClient.getFile(this.bucketName, `${video.hlsKey}/${file}`);
+  }
+
+  // Master playlist with the video's caption tracks added as a subtitles group
+  async getHlsMaster(videoId) {
+    const stream = await this.getHlsFile(videoId, hlsConfig.masterPlaylist);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk));
+    }
+
+    return hlsService.addSubtitles(Buffer.concat(chunks).toString(), await captionService.listTracks(videoId));
+  }
+
+  async getHlsSubtitlePlaylist(videoId, language) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { duration: true }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    await captionService.getTrack(videoId, language);
+
+    return hlsService.buildSubtitlePlaylist(language, video.duration);
+  }
+
+  // Anyone who may view the video sees its status; only the owner sees why
+  // processing failed, as the error can name other users' videos
+  async getProcessingStatus(videoId, viewerId) {
+    await visibilityService.assertCanView(videoId, viewerId);
+
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: {
+        id: true,
+        userId: true,
+        status: true,
+        processingError: true,
+        processedAt: true
+      }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+
+    const { userId, processingError, ...status } = video;
+    return { ...status, processingError: userId === viewerId ? processingError : null };
+  }
+
+  // Shape shared by every feed and the metadata endpoint
+  transformVideo(video) {
+    return {
+      id: video.id,
+      title: video.title,
+      description: video.description,
+      videoUrl: video.url,
+      thumbnailUrl: video.thumbnailUrl,
+      posterUrl: video.posterUrl,
+      hlsAvailable: Boolean(video.hlsKey),
+      storyboardAvailable: Boolean(video.storyboardKey),
+      previewUrl: video.previewKey,
+      duration: video.duration,
+      status: video.status,
+      visibility: video.visibility,
+      publishStatus: video.publishStatus,
+      publishAt: video.publishAt,
+      views: video.views,
+      createdAt: video.createdAt,
+      publishedAt: video.publishedAt,
+      user: video.user,
+      stats: {
+        likes: video._count.likes,
+        comments: video._count.comments
+      },
+      tags: video.tags || []
+    };
+  }
+
+  // Adds short-lived playback URLs for the viewer to playable videos
+  async withPlayback(videos, viewerId) {
+    return Promise.all(videos.map(async (video) => ({
+      ...video,
+      playback: video.status === 'READY'
+        ? await playbackService.getPlaybackUrls({
+          id: video.id,
+          videoKey: this.extractFilePath(video.videoUrl),
+          thumbnailKey: video.thumbnailUrl && this.extractFilePath(video.thumbnailUrl),
+          posterKey: video.posterUrl && this.extractFilePath(video.posterUrl),
+          previewKey: video.previewUrl,
+          hlsAvailable: video.hlsAvailable,
+          storyboardAvailable: video.storyboardAvailable,
+          captionLanguages: (video.captions || []).map(track => track.language)
+        }, viewerId)
+        : null
+    })));
+  }
+
+  // publishedAt cursors page through dated videos first. Videos without a
+  // publishedAt sort last by createdAt and get "n:" cursors.
+  getFeedCursorFilter(cursor) {
+    if (!cursor) {
+      return {};
+    }
+    if (cursor.startsWith(UNDATED_CURSOR_PREFIX)) {
+      return {
+        publishedAt: null,
+        createdAt: { lt: new Date(parseInt(cursor.slice(UNDATED_CURSOR_PREFIX.length))) }
+      };
+    }
+    return {
+      OR: [
+        { publishedAt: { lt: new Date(parseInt(cursor)) } },
+        { publishedAt: null }
+      ]
+    };
+  }
+
+  // Reverse-chronological page of videos matching `where`, paginated by a
+  // publishedAt timestamp cursor, with playback URLs for the viewer
+  async queryFeedPage(where, cursor, limit, viewerId) {
+    // Fetch videos with cursor-based pagination
+    const videos = await prisma.video.findMany({
+      take: limit + 1, // Take one extra to determine if there are more results
+      where: {
+        ...where,
+        status: 'READY',
+        AND: [await visibilityService.getListingFilter(viewerId), this.getFeedCursorFilter(cursor)]
+      },
+      orderBy: [
+        { publishedAt: { sort: 'desc', nulls: 'last' } }, // Most recently published first
+        { createdAt: 'desc' }
+      ],
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            avatar: true
+          }
         },
-        include: {
-          user: {
-            select: {
-              id: true,
-              username: true,
-              avatar: true
-            }
-          },
-          _count: {
-            select: {
-              likes: true,
-              comments: true
-            }
+        _count: {
+          select: {
+            likes: true,
+            comments: true
           }
         }
-      });
+      }
+    });
 
-      // Determine if there are more results
-      const hasMore = videos.length > limit;
-      const results = hasMore ? videos.slice(0, -1) : videos;
-      
-      // Get the cursor for the next page
-      const lastVideo = results[results.length - 1];
-      const nextCursor = hasMore ? lastVideo.createdAt.getTime().toString() : null;
-
-      // Transform videos to include complete URLs and counts
-      const transformedVideos = results.map(video => ({
-        id: video.id,
-        title: video.title,
-        description: video.description,
-        videoUrl: video.url,
-        thumbnailUrl: video.thumbnailUrl,
-        duration: video.duration,
-        views: video.views,
-        createdAt: video.createdAt,
-        user: video.user,
-        stats: {
-          likes: video._count.likes,
-          comments: video._count.comments
-        },
-        tags: video.tags || []
-      }));
-
-          return {
-        videos: transformedVideos,
-        nextCursor,
-        hasMore
-          };
-        } catch (error) {
+    // Determine if there are more results
+    const hasMore = videos.length > limit;
+    const results = hasMore ? videos.slice(0, -1) : videos;
+
+    // Get the cursor for the next page
+    const lastVideo = results[results.length - 1];
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = lastVideo.publishedAt
+        ? lastVideo.publishedAt.getTime().toString()
+        : `${UNDATED_CURSOR_PREFIX}${lastVideo.createdAt.getTime()}`;
+    }
+
+    return {
+      videos: await this.withPlayback(results.map(video => this.transformVideo(video)), viewerId),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  async getFeed(cursor, limit = 10, userId) {
+    try {
+      // Skip videos the user has already been shown within the retention window
+      const seenIds = userId ? await impressionService.getSeenVideoIds(userId) : [];
+      return await this.queryFeedPage(seenIds.length > 0 ? { id: { notIn: seenIds } } : {}, cursor, limit, userId);
+    } catch (error) {
       logger.error('Error fetching video feed:', error);
       throw error;
     }
   }
 
-  async getVideoMetadata(videoId) {
+  // Videos from accounts the user follows. With `blend`, global videos from
+  // other creators fill the page once the following feed runs dry; their
+  // cursors carry a "g:" prefix so the next request stays in the global phase.
+  async getFollowingFeed(cursor, limit = 10, userId, { blend = false } = {}) {
+    try {
+      const followingIds = await followService.getFollowingIds(userId);
+      const inGlobalPhase = blend && typeof cursor === 'string' && cursor.startsWith(GLOBAL_CURSOR_PREFIX);
+      const globalWhere = { userId: { notIn: [...followingIds, userId] } };
+
+      if (inGlobalPhase) {
+        const page = await this.queryFeedPage(globalWhere, cursor.slice(GLOBAL_CURSOR_PREFIX.length), limit, userId);
+        return this.tagFeedPage(page, 'global');
+      }
+
+      const page = this.tagFeedPage(
+        await this.queryFeedPage({ userId: { in: followingIds } }, cursor, limit, userId),
+        'following'
+      );
+
+      if (!blend || page.hasMore) {
+        return page;
+      }
+
+      // Following feed is exhausted, top up from the global feed
+      const remaining = limit - page.videos.length;
+      if (remaining === 0) {
+        return { ...page, nextCursor: GLOBAL_CURSOR_PREFIX, hasMore: true };
+      }
+
+      const globalPage = this.tagFeedPage(
+        await this.queryFeedPage(globalWhere, null, remaining, userId),
+        'global'
+      );
+
+      return {
+        videos: [...page.videos, ...globalPage.videos],
+        nextCursor: globalPage.hasMore ? globalPage.nextCursor : null,
+        hasMore: globalPage.hasMore
+      };
+    } catch (error) {
+      logger.error('Error fetching following feed:', error);
+      throw error;
+    }
+  }
+
+  tagFeedPage(page, source) {
+    return {
+      videos: page.videos.map(video => ({ ...video, source })),
+      nextCursor: page.nextCursor && source === 'global' ? `${GLOBAL_CURSOR_PREFIX}${page.nextCursor}` : page.nextCursor,
+      hasMore: page.hasMore
+    };
+  }
+
+  // Reported watch time as whole seconds, at most the video's duration
+  getWatchedSeconds(video, seconds) {
+    return Math.min(Math.max(0, Math.round(seconds) || 0), video.duration);
+  }
+
+  // Watch events feed the ranking signals; creators watching their own
+  // videos are never recorded, whichever endpoint reports the watch. Each
+  // viewer has one event per video holding their furthest watch, so
+  // repeated reports refresh it instead of piling up completions.
+  async recordWatch(userId, video, seconds) {
+    if (video.userId === userId) {
+      return null;
+    }
+
+    try {
+      const watched = this.getWatchedSeconds(video, seconds);
+      const completion = video.duration > 0 ? watched / video.duration : 0;
+
+      await prisma.watchEvent.updateMany({
+        where: { userId, videoId: video.id, seconds: { lt: watched } },
+        data: { seconds: watched, completion }
+      });
+      return await prisma.watchEvent.upsert({
+        where: { userId_videoId: { userId, videoId: video.id } },
+        create: {
+          userId,
+          videoId: video.id,
+          seconds: watched,
+          completion
+        },
+        update: { updatedAt: new Date() }
+      });
+    } catch (error) {
+      logger.error('Error recording watch:', error);
+      throw error;
+    }
+  }
+
+  // Videos the viewer may not see are reported as not found; without a
+  // viewer that leaves published public and unlisted videos. With a viewer
+  // the result carries playback URLs issued to them.
+  async getVideoMetadata(videoId, viewerId) {
     try {
       const video = await prisma.video.findUnique({
         where: { id: videoId },
@@ -376,65 +748,252 @@ class VideoService {
               likes: true,
               comments: true
             }
+          },
+          captions: {
+            orderBy: { language: 'asc' },
+            select: { language: true, label: true, source: true }
           }
         }
       });
 
+      if (!video || !(await visibilityService.canView(video, viewerId))) {
+        throw new Error('Video not found');
+      }
+
+      const metadata = { ...this.transformVideo(video), captions: video.captions };
+      if (!viewerId) {
+        return metadata;
+      }
+      if (video.userId === viewerId && video.visibility === 'UNLISTED') {
+        metadata.shareUrl = visibilityService.getShareUrl(video.id);
+      }
+
+      const [signed] = await this.withPlayback([metadata], viewerId);
+      return signed;
+    } catch (error) {
+      logger.error('Error getting video metadata:', error);
+      throw error;
+    }
+  }
+
+  // Owner-only edit of title, description, tags and visibility. Hashtags in the
+  // description are merged into the tags; hashtags that came from the old
+  // description are dropped with it unless they are sent as tags again.
+  async updateMetadata(videoId, userId, { title, description, tags, visibility }) {
+    try {
+      const video = await prisma.video.findUnique({
+        where: { id: videoId }
+      });
+
       if (!video) {
         throw new Error('Video not found');
       }
+      if (video.userId !== userId) {
+        throw new Error('Not authorized to edit this video');
+      }
+      if (video.moderationLockedAt && visibility !== undefined && visibility !== video.visibility) {
+        throw new Error('Not authorized to change the visibility of a video locked by moderation');
+      }
 
-      return {
-        id: video.id,
-        title: video.title,
-        description: video.description,
-        videoUrl: video.url,
-        thumbnailUrl: video.thumbnailUrl,
-        duration: video.duration,
-        views: video.views,
-        createdAt: video.createdAt,
-        user: video.user,
-        stats: {
-          likes: video._count.likes,
-          comments: video._count.comments
-        },
-        tags: video.tags || []
+      const next = {
+        title: title !== undefined ? title : video.title,
+        description: description !== undefined ? description || null : video.description,
+        visibility: visibility !== undefined ? visibility : video.visibility
       };
+
+      let baseTags = video.tags;
+      if (tags !== undefined) {
+        baseTags = tags;
+      } else if (next.description !== video.description) {
+        const previousHashtags = new Set(extractHashtags(video.description));
+        baseTags = video.tags.filter(tag => !previousHashtags.has(tag));
+      }
+      next.tags = normalizeTags([...baseTags, ...extractHashtags(next.description)]);
+
+      const changes = {};
+      for (const field of ['title', 'description', 'visibility']) {
+        if (next[field] !== video[field]) {
+          changes[field] = { from: video[field], to: next[field] };
+        }
+      }
+      if (next.tags.join('\n') !== video.tags.join('\n')) {
+        changes.tags = { from: video.tags, to: next.tags };
+      }
+
+      if (Object.keys(changes).length > 0) {
+        await prisma.$transaction(async (tx) => {
+          // Conditional on the row we diffed against so concurrent edits
+          // cannot silently overwrite each other or skew the history
+          const { count } = await tx.video.updateMany({
+            where: { id: videoId, updatedAt: video.updatedAt },
+            data: next
+          });
+          if (count === 0) {
+            throw new Error('Video was edited concurrently, please retry');
+          }
+
+          await tx.videoEdit.create({
+            data: { videoId, userId, changes }
+          });
+        });
+        logger.info(`Video ${videoId} metadata edited by user ${userId}: ${Object.keys(changes).join(', ')}`);
+      }
+
+      return this.getVideoMetadata(videoId, userId);
     } catch (error) {
-      logger.error('Error getting video metadata:', error);
+      logger.error('Error updating video metadata:', error);
       throw error;
     }
   }
 
-  async getVideoStream(videoId) {
+  // Most recent edits first, visible to the owner only
+  async getEditHistory(videoId, userId) {
     try {
-      const video = await this.getVideoMetadata(videoId);
-      
-      if (!video || !video.url) {
-        throw new Error('Video metadata not found or invalid');
+      const video = await prisma.video.findUnique({
+        where: { id: videoId },
+        select: { userId: true }
+      });
+
+      if (!video) {
+        throw new Error('Video not found');
+      }
+      if (video.userId !== userId) {
+        throw new Error('Not authorized to view the edit history of this video');
       }
 
-      // Get video stream from storage
-      const filePath = this.extractFilePath(video.url);
-      return await storageClient.getFile(this.bucketName, filePath);
+      return await prisma.videoEdit.findMany({
+        where: { videoId },
+        orderBy: { createdAt: 'desc' },
+        take: metadataConfig.editHistoryLimit,
+        select: {
+          id: true,
+          changes: true,
+          createdAt: true,
+          user: {
+            select: {
+              id: true,
+              username: true
+            }
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Error getting video edit history:', error);
+      throw error;
+    }
+  }
+
+  // Streams a storyboard file, the index or one of its sprite sheets
+  async getStoryboardFile(videoId, file) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { status: true, storyboardKey: true }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    if (video.status !== 'READY' || !video.storyboardKey) {
+      throw new Error('Storyboard not found for this video');
+    }
+
+    return storageClient.getFile(this.bucketName, `${video.storyboardKey}/${file}`);
+  }
+
+  async getPreviewFile(videoId) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { status: true, previewKey: true }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    if (video.status !== 'READY' || !video.previewKey) {
+      throw new Error('Animated preview not found for this video');
+    }
+
+    return storageClient.getFile(this.bucketName, video.previewKey);
+  }
+
+  // Storage object behind a playable video, with the size, type, ETag and
+  // modification time needed for range and conditional requests. Access was
+  // checked by authorizePlayback, for the bearer or the playback token.
+  async getPlaybackObject(videoId) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { id: true, status: true, url: true }
+    });
+
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    if (video.status !== 'READY') {
+      throw new Error('Video is not ready for playback yet');
+    }
+
+    const filePath = this.extractFilePath(video.url);
+    const stat = await storageClient.statFile(this.bucketName, filePath);
+    if (!stat) {
+      throw new Error('Video file not found');
+    }
+
+    return {
+      video,
+      filePath,
+      ...stat,
+      contentType: stat.contentType && stat.contentType.startsWith('video/')
+        ? stat.contentType
+        : VIDEO_CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'video/mp4'
+    };
+  }
+
+  // Optional range is inclusive, { start, end }
+  async getVideoStream(filePath, range) {
+    try {
+      return await storageClient.getFile(this.bucketName, filePath, range);
     } catch (error) {
       logger.error('Error in getVideoStream:', error);
       throw new Error(`Error getting video stream: ${error.message}`);
     }
   }
 
+  // Every object stored for a video: the clip and its original, covers and
+  // candidate frames, the audio rendition, the animated preview, caption
+  // files and the HLS and storyboard folders
+  async deleteStoredFiles(video) {
+    const keys = [
+      video.url,
+      video.sourceKey,
+      video.thumbnailUrl,
+      video.posterUrl,
+      ...video.thumbnailCandidates,
+      video.audioKey,
+      video.previewKey,
+      ...video.captions.map(track => track.key)
+    ].filter(Boolean).map(key => this.extractFilePath(key));
+
+    for (const key of new Set(keys)) {
+      await storageClient.deleteFile(this.bucketName, key);
+    }
+    for (const prefix of [video.hlsKey, video.storyboardKey].filter(Boolean)) {
+      await storageClient.deletePrefix(this.bucketName, `${prefix}/`);
+    }
+  }
+
+  // Storage goes first, so a failed delete leaves the row to retry with
   async deleteVideo(videoId) {
     try {
       const video = await prisma.video.findUnique({
-        where: { id: videoId }
+        where: { id: videoId },
+        include: { captions: { select: { key: true } } }
       });
 
       if (!video) {
         throw new Error('Video not found');
       }
 
-      const filePath = this.extractFilePath(video.url);
-      await storageClient.deleteFile(this.bucketName, filePath);
+      await this.deleteStoredFiles(video);
       await prisma.video.delete({ where: { id: videoId } });
       logger.info(`Video ${videoId} deleted successfully`);
     } catch (error) {
@@ -0,0 +1,71 @@
+const prisma = require('../configs/database');
+const followService = require('./followService');
+const config = require('../configs/visibility-config');
+
+// Who may see a video:
+//   PUBLIC    everyone, listed in feeds
+//   UNLISTED  anyone with the link, never listed
+//   FOLLOWERS the creator's followers, listed in their feeds only
+//   PRIVATE   the creator only
+// Drafts, scheduled and moderation-locked videos are only visible to their
+// creator. Hidden videos are reported as not found so their existence does
+// not leak.
+class VisibilityService {
+  async canView(video, viewerId) {
+    if (viewerId && video.userId === viewerId) {
+      return true;
+    }
+    if (video.publishStatus !== 'PUBLISHED' || video.moderationLockedAt) {
+      return false;
+    }
+
+    switch (video.visibility) {
+      case 'PUBLIC':
+      case 'UNLISTED':
+        return true;
+      case 'FOLLOWERS':
+        return Boolean(viewerId) && followService.isFollowing(viewerId, video.userId);
+      default:
+        return false;
+    }
+  }
+
+  // Loads the video and throws 'Video not found' unless the viewer may see it
+  async assertCanView(videoId, viewerId) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { id: true, userId: true, visibility: true, publishStatus: true, moderationLockedAt: true, status: true }
+    });
+
+    if (!video || !(await this.canView(video, viewerId))) {
+      throw new Error('Video not found');
+    }
+
+    return video;
+  }
+
+  // Prisma filter for anything that lists videos (feeds, ranking, search).
+  // Unlisted, private, unpublished and moderation-locked videos are never
+  // listed, not even to their creator.
+  async getListingFilter(viewerId) {
+    if (!viewerId) {
+      return { publishStatus: 'PUBLISHED', moderationLockedAt: null, visibility: 'PUBLIC' };
+    }
+
+    const followingIds = await followService.getFollowingIds(viewerId);
+    return {
+      publishStatus: 'PUBLISHED',
+      moderationLockedAt: null,
+      OR: [
+        { visibility: 'PUBLIC' },
+        { visibility: 'FOLLOWERS', userId: { in: [...followingIds, viewerId] } }
+      ]
+    };
+  }
+
+  getShareUrl(videoId) {
+    return `${config.getShareBaseUrl()}/videos/${videoId}`;
+  }
+}
+
+module.exports = new VisibilityService();
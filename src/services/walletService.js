@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const prisma = require('../configs/database');
+const logger = require('../utils/logger');
+const config = require('../configs/auth-config');
+const { parseSiweMessage } = require('../utils/siwe');
+
+const normalizeAddress = (address) => {
+  try {
+    return ethers.getAddress(address);
+  } catch (error) {
+    throw new Error('Invalid wallet address');
+  }
+};
+
+class WalletService {
+  async issueNonce() {
+    try {
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const expiresAt = new Date(Date.now() + config.siweNonceTtlMinutes * 60 * 1000);
+
+      await prisma.siweNonce.create({
+        data: { nonce, expiresAt }
+      });
+
+      return {
+        nonce,
+        expiresAt,
+        domain: config.siweDomain,
+        uri: config.siweUri,
+        chainIds: config.siweChainIds
+      };
+    } catch (error) {
+      logger.error('Error issuing SIWE nonce:', error);
+      throw error;
+    }
+  }
+
+  // Checks an EIP-4361 message and its signature, consuming the nonce
+  async verifySignature(message, signature) {
+    const siwe = parseSiweMessage(message);
+    const now = new Date();
+
+    if (siwe.domain !== config.siweDomain) {
+      throw new Error('Invalid SIWE message: domain mismatch');
+    }
+    if (siwe.uri !== config.siweUri) {
+      throw new Error('Invalid SIWE message: URI mismatch');
+    }
+    if (siwe.version !== '1') {
+      throw new Error('Invalid SIWE message: unsupported version');
+    }
+    if (!config.siweChainIds.includes(siwe.chainId)) {
+      throw new Error('Invalid SIWE message: unsupported chain');
+    }
+    if (siwe.expirationTime && new Date(siwe.expirationTime) <= now) {
+      throw new Error('Invalid SIWE message: expired');
+    }
+    if (siwe.notBefore && new Date(siwe.notBefore) > now) {
+      throw new Error('Invalid SIWE message: not yet valid');
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(message, signature);
+    } catch (error) {
+      throw new Error('Invalid wallet signature');
+    }
+
+    if (recovered !== siwe.address) {
+      throw new Error('Invalid wallet signature');
+    }
+
+    // Single use: only one request can flip usedAt
+    const { count } = await prisma.siweNonce.updateMany({
+      where: {
+        nonce: siwe.nonce,
+        usedAt: null,
+        expiresAt: { gt: now }
+      },
+      data: { usedAt: now }
+    });
+
+    if (count === 0) {
+      throw new Error('Invalid SIWE message: unknown or expired nonce');
+    }
+
+    return siwe;
+  }
+
+  // Deletes nonces that can no longer be used, so unauthenticated nonce
+  // requests do not grow the table without bound
+  async cleanupExpiredNonces(now = new Date()) {
+    try {
+      const { count } = await prisma.siweNonce.deleteMany({
+        where: {
+          OR: [
+            { usedAt: { not: null } },
+            { expiresAt: { lte: now } }
+          ]
+        }
+      });
+
+      if (count > 0) {
+        logger.info(`Deleted ${count} used or expired SIWE nonces`);
+      }
+      return count;
+    } catch (error) {
+      logger.error('Error cleaning up SIWE nonces:', error);
+      throw error;
+    }
+  }
+
+  startCleanupTimer() {
+    const timer = setInterval(() => {
+      this.cleanupExpiredNonces().catch(() => {});
+    }, config.siweNonceCleanupIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  // Wallet-only login, the address must already be linked to an account
+  async loginWithWallet(message, signature) {
+    const siwe = await this.verifySignature(message, signature);
+
+    const wallet = await prisma.wallet.findUnique({
+      where: { address: siwe.address },
+      include: { user: true }
+    });
+
+    if (!wallet) {
+      throw new Error('Wallet not linked to any account');
+    }
+
+    await prisma.wallet.update({
+      where: { id: wallet.id },
+      data: { lastUsedAt: new Date() }
+    });
+
+    logger.info(`User ${wallet.userId} logged in with wallet ${wallet.address}`);
+    return wallet.user;
+  }
+
+  async linkWallet(userId, message, signature) {
+    const siwe = await this.verifySignature(message, signature);
+
+    const existing = await prisma.wallet.findUnique({
+      where: { address: siwe.address }
+    });
+
+    if (existing && existing.userId !== userId) {
+      throw new Error('Wallet already linked to another account');
+    }
+
+    const wallet = await prisma.wallet.upsert({
+      where: { address: siwe.address },
+      update: { chainId: siwe.chainId },
+      create: {
+        userId,
+        address: siwe.address,
+        chainId: siwe.chainId
+      }
+    });
+
+    logger.info(`Wallet ${wallet.address} linked to user ${userId}`);
+    return wallet;
+  }
+
+  async unlinkWallet(userId, address) {
+    try {
+      const { count } = await prisma.wallet.deleteMany({
+        where: {
+          userId,
+          address: normalizeAddress(address)
+        }
+      });
+
+      if (count === 0) {
+        throw new Error('Wallet not found');
+      }
+
+      logger.info(`Wallet ${address} unlinked from user ${userId}`);
+    } catch (error) {
+      logger.error('Error unlinking wallet:', error);
+      throw error;
+    }
+  }
+
+  async listWallets(userId) {
+    try {
+      return await prisma.wallet.findMany({
+        where: { userId },
+        select: {
+          address: true,
+          chainId: true,
+          createdAt: true,
+          lastUsedAt: true
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+    } catch (error) {
+      logger.error('Error listing wallets:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WalletService();
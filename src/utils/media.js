@@ -0,0 +1,19 @@
+// Width and height of a probed video stream as it is displayed. Phone clips
+// are often stored landscape with a rotate tag or display matrix, which
+// ffmpeg applies before any filter, so scaling must use the rotated size.
+const getDisplayDimensions = (videoStream) => {
+  if (!videoStream || !videoStream.width || !videoStream.height) {
+    return {};
+  }
+
+  const displayMatrix = (videoStream.side_data_list || []).find(data => data.rotation !== undefined);
+  const rotation = parseInt(displayMatrix ? displayMatrix.rotation : (videoStream.tags || {}).rotate) || 0;
+
+  return Math.abs(rotation) % 180 === 90
+    ? { width: videoStream.height, height: videoStream.width }
+    : { width: videoStream.width, height: videoStream.height };
+};
+
+module.exports = {
+  getDisplayDimensions
+};
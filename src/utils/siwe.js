@@ -0,0 +1,114 @@
+const { ethers } = require('ethers');
+
+// Minimal EIP-4361 (Sign-In With Ethereum) message builder and parser
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  version = '1',
+  chainId,
+  nonce,
+  issuedAt = new Date().toISOString(),
+  expirationTime,
+  notBefore,
+  requestId,
+  resources
+}) => {
+  const lines = [`${domain}${HEADER_SUFFIX}`, address, ''];
+
+  if (statement) {
+    lines.push(statement, '');
+  }
+
+  lines.push(
+    `URI: ${uri}`,
+    `Version: ${version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  if (notBefore) lines.push(`Not Before: ${notBefore}`);
+  if (requestId) lines.push(`Request ID: ${requestId}`);
+  if (resources && resources.length > 0) {
+    lines.push('Resources:', ...resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('Invalid SIWE message');
+  }
+
+  const lines = message.split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error('Invalid SIWE message: missing header');
+  }
+
+  const parsed = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    statement: null,
+    resources: []
+  };
+
+  try {
+    parsed.address = ethers.getAddress(lines[1]);
+  } catch (error) {
+    throw new Error('Invalid SIWE message: malformed address');
+  }
+
+  let index = 3;
+  // An optional statement sits between two blank lines
+  if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+    parsed.statement = lines[index];
+    index += 2;
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+
+    if (line === 'Resources:') {
+      parsed.resources = lines.slice(index + 1).map(resource => resource.replace(/^- /, ''));
+      break;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = FIELDS[line.slice(0, separator)];
+    if (separator === -1 || !key) {
+      throw new Error(`Invalid SIWE message: unexpected line "${line}"`);
+    }
+    parsed[key] = line.slice(separator + 2);
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!parsed[required]) {
+      throw new Error(`Invalid SIWE message: missing ${required}`);
+    }
+  }
+
+  parsed.chainId = parseInt(parsed.chainId);
+  return parsed;
+};
+
+module.exports = {
+  buildSiweMessage,
+  parseSiweMessage
+};
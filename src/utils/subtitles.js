@@ -0,0 +1,62 @@
+const TIMING_PATTERN = /^(\d{1,2}:)?\d{1,2}:\d{2}[,.]\d{3}\s+-->\s+(\d{1,2}:)?\d{1,2}:\d{2}[,.]\d{3}/;
+
+// No BOM, LF line endings, no trailing blank lines
+const normalizeText = (text) => String(text)
+  .replace(/^\uFEFF/, '')
+  .replace(/\r\n?/g, '\n')
+  .trim();
+
+const detectFormat = (text) => (/^WEBVTT(?:[ \t]|\n|$)/.test(normalizeText(text)) ? 'vtt' : 'srt');
+
+// SRT cues are "index, timing, text" blocks with comma decimal separators.
+// Style overrides such as {\an8} and <font> tags have no WebVTT equivalent
+// and are dropped.
+const srtToVtt = (text) => {
+  const cues = [];
+
+  for (const block of normalizeText(text).split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    if (/^\d+$/.test(lines[0].trim())) {
+      lines.shift();
+    }
+    if (lines.length === 0 || !TIMING_PATTERN.test(lines[0].trim())) {
+      continue;
+    }
+
+    const [start, end] = lines[0].trim().split(/\s+-->\s+/).map(timestamp => timestamp.split(/\s/)[0].replace(',', '.'));
+    const cueText = lines.slice(1)
+      .map(line => line.replace(/\{\\[^}]*\}/g, '').replace(/<\/?font[^>]*>/gi, ''))
+      .join('\n')
+      // WebVTT reads any line containing an arrow as a cue timing
+      .replace(/-->/g, '->');
+
+    cues.push(`${start} --> ${end}\n${cueText}`);
+  }
+
+  if (cues.length === 0) {
+    throw new Error('Invalid caption file: no SRT cues found');
+  }
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+};
+
+const normalizeVtt = (text) => {
+  const vtt = normalizeText(text);
+  if (!/^WEBVTT(?:[ \t]|\n|$)/.test(vtt)) {
+    throw new Error('Invalid caption file: missing WEBVTT header');
+  }
+  if (!vtt.split('\n').some(line => TIMING_PATTERN.test(line.trim()))) {
+    throw new Error('Invalid caption file: no WebVTT cues found');
+  }
+  return `${vtt}\n`;
+};
+
+// WebVTT text from an uploaded caption file, converting SRT when needed
+const toWebVtt = (text, format = detectFormat(text)) => (format === 'srt' ? srtToVtt(text) : normalizeVtt(text));
+
+module.exports = {
+  detectFormat,
+  srtToVtt,
+  normalizeVtt,
+  toWebVtt
+};
@@ -0,0 +1,26 @@
+const config = require('../configs/metadata-config');
+
+const HASHTAG_PATTERN = /(?:^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]+)/gu;
+
+// Lowercase, no leading '#', letters, digits and underscores only
+const normalizeTag = (tag) => String(tag)
+  .trim()
+  .replace(/^#+/, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}_]/gu, '')
+  .slice(0, config.tagMaxLength);
+
+// Normalized, deduplicated tags in first-seen order, capped at maxTags
+const normalizeTags = (tags) => [...new Set(tags.map(normalizeTag).filter(Boolean))]
+  .slice(0, config.maxTags);
+
+const extractHashtags = (text) => {
+  if (!text) return [];
+  return [...text.matchAll(HASHTAG_PATTERN)].map(match => normalizeTag(match[1])).filter(Boolean);
+};
+
+module.exports = {
+  normalizeTag,
+  normalizeTags,
+  extractHashtags
+};
@@ -0,0 +1,51 @@
+const config = require('../configs/video-service-config');
+
+// Rounds to milliseconds for messages and ffmpeg arguments
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+const tooLong = (length, maxDuration) => new Error(
+  `Video is too long: the selected clip is ${round(length)}s and the maximum for your account is ${maxDuration}s. ` +
+  'Send start and end trim points to pick a shorter part.'
+);
+
+// Rejects trim points that are already known to select too long a clip,
+// before the source has been probed
+const assertTrimWithinLimit = ({ trimStart, trimEnd }, maxDuration) => {
+  if (trimEnd === undefined || trimEnd === null) {
+    return;
+  }
+  const length = trimEnd - (trimStart || 0);
+  if (length > maxDuration + config.durationToleranceSeconds) {
+    throw tooLong(length, maxDuration);
+  }
+};
+
+// Part of a source of `sourceDuration` seconds to publish. Without trim
+// points the whole source is used; `needsTrim` is false when that is what
+// the points select anyway.
+const resolveTrim = (sourceDuration, { trimStart, trimEnd } = {}, maxDuration) => {
+  const start = trimStart || 0;
+  const end = Math.min(trimEnd === undefined || trimEnd === null ? sourceDuration : trimEnd, sourceDuration);
+
+  if (start >= sourceDuration) {
+    throw new Error(`Invalid trim: start (${round(start)}s) is beyond the end of the video (${round(sourceDuration)}s)`);
+  }
+  if (end <= start) {
+    throw new Error('Invalid trim: end must be after start');
+  }
+  if (end - start > maxDuration + config.durationToleranceSeconds) {
+    throw tooLong(end - start, maxDuration);
+  }
+
+  const duration = round(Math.min(end - start, maxDuration));
+  return {
+    start: round(start),
+    duration,
+    needsTrim: start > 0 || duration < round(sourceDuration)
+  };
+};
+
+module.exports = {
+  assertTrimWithinLimit,
+  resolveTrim
+};
@@ -1,4 +1,43 @@
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
+const metadataConfig = require('../configs/metadata-config');
+const visibilityConfig = require('../configs/visibility-config');
+const publishingConfig = require('../configs/publishing-config');
+const captionConfig = require('../configs/caption-config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled publish times must be in the future and within the scheduling horizon
+const isSchedulablePublishAt = (value) => {
+  const publishAt = new Date(value).getTime();
+  if (publishAt <= Date.now()) {
+    throw new Error('publishAt must be in the future');
+  }
+  if (publishAt > Date.now() + publishingConfig.maxScheduleDays * DAY_MS) {
+    throw new Error(`publishAt must be within ${publishingConfig.maxScheduleDays} days`);
+  }
+  return true;
+};
+
+// Optional trim points in seconds of the original; the clip between them
+// is checked against the uploader's maximum duration once it is probed
+const validateTrim = [
+  body('start')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('start must be a number of seconds, 0 or more')
+    .toFloat(),
+  body('end')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('end must be a positive number of seconds')
+    .toFloat()
+    .custom((end, { req }) => {
+      if (req.body.start !== undefined && end <= Number(req.body.start)) {
+        throw new Error('end must be after start');
+      }
+      return true;
+    })
+];
 
 const validateVideoUpload = [
   body('title')
@@ -8,25 +47,146 @@ const validateVideoUpload = [
   body('description')
     .trim()
     .isLength({ min: 10, max: 500 })
-    .withMessage('Description must be between 10 and 500 characters')
+    .withMessage('Description must be between 10 and 500 characters'),
+  body('visibility')
+    .optional()
+    .isIn(visibilityConfig.visibilities)
+    .withMessage(`Visibility must be one of: ${visibilityConfig.visibilities.join(', ')}`),
+  body('draft')
+    .optional()
+    .isBoolean()
+    .withMessage('draft must be a boolean')
+    .toBoolean(),
+  body('publishAt')
+    .optional()
+    .isISO8601()
+    .withMessage('publishAt must be an ISO 8601 timestamp')
+    .bail()
+    .custom(isSchedulablePublishAt)
+    .toDate(),
+  body('normalizeAudio')
+    .optional()
+    .isBoolean()
+    .withMessage('normalizeAudio must be a boolean')
+    .toBoolean(),
+  ...validateTrim
+];
+
+const validateVideoUpdate = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: metadataConfig.titleMinLength, max: metadataConfig.titleMaxLength })
+    .withMessage(`Title must be between ${metadataConfig.titleMinLength} and ${metadataConfig.titleMaxLength} characters`),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: metadataConfig.descriptionMaxLength })
+    .withMessage(`Description must be at most ${metadataConfig.descriptionMaxLength} characters`),
+  body('tags')
+    .optional()
+    .isArray({ max: metadataConfig.maxTags })
+    .withMessage(`Tags must be an array of at most ${metadataConfig.maxTags} tags`),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: metadataConfig.tagMaxLength })
+    .withMessage(`Each tag must be between 1 and ${metadataConfig.tagMaxLength} characters`),
+  body('visibility')
+    .optional()
+    .isIn(visibilityConfig.visibilities)
+    .withMessage(`Visibility must be one of: ${visibilityConfig.visibilities.join(', ')}`)
+];
+
+const validateSchedule = [
+  body('publishAt')
+    .isISO8601()
+    .withMessage('publishAt must be an ISO 8601 timestamp')
+    .bail()
+    .custom(isSchedulablePublishAt)
+    .toDate()
+];
+
+// Caption text arrives either as an uploaded file or as `content`
+const validateCaptionTrack = [
+  param('language')
+    .matches(captionConfig.languagePattern)
+    .withMessage('Language must be a BCP 47 tag such as en or pt-BR'),
+  body('label')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: captionConfig.labelMaxLength })
+    .withMessage(`Label must be between 1 and ${captionConfig.labelMaxLength} characters`),
+  body('content')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: captionConfig.maxFileSize })
+    .withMessage(`Caption content must be at most ${captionConfig.maxFileSize} characters`),
+  body('format')
+    .optional()
+    .isIn(captionConfig.formats)
+    .withMessage(`Format must be one of: ${captionConfig.formats.join(', ')}`)
+];
+
+// Watch reports from either endpoint; recordWatch caps them at the duration
+const validateWatchTime = [
+  body('seconds')
+    .isFloat({ min: 0 })
+    .withMessage('Invalid watch time')
+    .toFloat()
+];
+
+const validateWatch = [
+  body('watchTime')
+    .isFloat({ gt: 0 })
+    .withMessage('Invalid watch time')
+    .toFloat()
+];
+
+const validateWorldIdProof = [
+  body('merkle_root').isString().notEmpty().withMessage('merkle_root is required'),
+  body('nullifier_hash').isString().notEmpty().withMessage('nullifier_hash is required'),
+  body('proof').isString().notEmpty().withMessage('proof is required'),
+  body('action').isString().notEmpty().withMessage('action is required'),
+  body('signal').optional().isString().withMessage('signal must be a string'),
+  body('verification_level')
+    .optional()
+    .isIn(['orb', 'device'])
+    .withMessage('verification_level must be either orb or device')
 ];
 
 const validateUserRegistration = [
-  body('worldId').notEmpty().withMessage('World ID is required'),
+  ...validateWorldIdProof,
   body('username')
     .trim()
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
     .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores')
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Must be a valid email address')
+    .normalizeEmail()
 ];
 
 const validateUserLogin = [
-  body('worldId').notEmpty().withMessage('World ID is required')
+  ...validateWorldIdProof
 ];
 
 module.exports = {
   validateVideoUpload,
+  validateVideoUpdate,
+  validateSchedule,
+  isSchedulablePublishAt,
+  validateTrim,
+  validateCaptionTrack,
+  validateWatchTime,
+  validateWatch,
+  validateWorldIdProof,
   validateUserRegistration,
   validateUserLogin
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,29 @@
+require('dotenv').config();
+const prisma = require('./configs/database');
+const logger = require('./utils/logger');
+const config = require('./configs/queue-config');
+const jobQueue = require('./services/jobQueue');
+const publishingService = require('./services/publishingService');
+// Registers the video processing job handler
+require('./services/videoService');
+
+// Background worker for video processing and scheduled publishing, deployed
+// as k8s/video-processor.yaml
+if (config.driver === 'local') {
+  logger.warn('JOB_QUEUE_DRIVER is local: this worker only sees jobs queued in its own process');
+}
+
+const worker = jobQueue.startWorker({ concurrency: config.concurrency });
+const scheduler = publishingService.startScheduler();
+
+// Finish running jobs before exiting so they are not retried needlessly
+const shutdown = async (signal) => {
+  logger.info(`${signal} received. Stopping job worker...`);
+  clearInterval(scheduler);
+  await worker.stop();
+  await prisma.$disconnect();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
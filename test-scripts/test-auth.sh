@@ -1,16 +1,34 @@
 #!/bin/bash
+# Requires the server to run with DEV_AUTH=true and WORLD_ID_VERIFIER=stub
+BASE_URL="${BASE_URL:-http://localhost:3000}"
+DEV_USER="${DEV_USER:-testuser}"
 
-echo "Testing Login Endpoint..."
-curl -X POST http://localhost:3000/api/auth/login \
+echo "Testing Registration Endpoint..."
+curl -X POST "$BASE_URL/api/auth/register" \
 -H "Content-Type: application/json" \
--d '{"worldId": "test-world-id"}'
+-d '{
+  "username": "newuser",
+  "merkle_root": "0x1",
+  "nullifier_hash": "0x2a",
+  "proof": "0x3",
+  "verification_level": "orb",
+  "action": "login"
+}'
 
-echo -e "\n\nTesting Registration Endpoint..."
-curl -X POST http://localhost:3000/api/auth/register \
+echo -e "\n\nTesting Login Endpoint..."
+curl -X POST "$BASE_URL/api/auth/login" \
 -H "Content-Type: application/json" \
 -d '{
-  "username": "newuser",
-  "worldId": "new-world-id",
-  "email": "newuser@example.com",
-  "password": "password123"
-}' 
\ No newline at end of file
+  "merkle_root": "0x1",
+  "nullifier_hash": "0x2a",
+  "proof": "0x3",
+  "action": "login"
+}'
+
+echo -e "\n\nTesting Dev-Auth Profile as ${DEV_USER}..."
+curl -X GET "$BASE_URL/api/auth/profile" \
+-H "X-Dev-User: ${DEV_USER}"
+
+echo -e "\n\nTesting Dev-Auth Sessions as ${DEV_USER}..."
+curl -X GET "$BASE_URL/api/auth/sessions" \
+-H "X-Dev-User: ${DEV_USER}"
@@ -0,0 +1,40 @@
+describe('auth-config', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env, JWT_SECRET: 'test-secret' };
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  const loadConfig = () => {
+    let config;
+    jest.isolateModules(() => {
+      config = require('../../src/configs/auth-config');
+    });
+    return config;
+  };
+
+  it('refuses DEV_AUTH in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.DEV_AUTH = 'true';
+
+    expect(loadConfig).toThrow('DEV_AUTH cannot be enabled in production');
+  });
+
+  it('loads in production with DEV_AUTH off', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.DEV_AUTH;
+
+    expect(loadConfig().devAuth).toBe(false);
+  });
+
+  it('enables DEV_AUTH outside production', () => {
+    process.env.NODE_ENV = 'development';
+    process.env.DEV_AUTH = 'true';
+
+    expect(loadConfig().devAuth).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+// Stands in for @prisma/client so suites run without a generated client or a
+// database. Every `new PrismaClient()` in src returns the same `prisma`, whose
+// model methods are jest.fn()s created on first use; tests give them
+// implementations and `resetPrisma()` drops them between tests.
+let models = {};
+
+const model = (name) => {
+  if (!models[name]) {
+    models[name] = new Proxy({}, {
+      get(methods, method) {
+        if (!methods[method]) {
+          methods[method] = jest.fn();
+        }
+        return methods[method];
+      }
+    });
+  }
+  return models[name];
+};
+
+const prisma = new Proxy({}, {
+  get(client, prop) {
+    if (prop === 'then') {
+      return undefined;
+    }
+    if (prop === '$transaction') {
+      return async (operations) => typeof operations === 'function'
+        ? operations(prisma)
+        : Promise.all(operations);
+    }
+    if (typeof prop === 'string' && prop.startsWith('$')) {
+      return client[prop] || (client[prop] = jest.fn());
+    }
+    return model(prop);
+  }
+});
+
+const resetPrisma = () => {
+  models = {};
+};
+
+class PrismaClient {
+  constructor() {
+    return prisma;
+  }
+}
+
+module.exports = {
+  prisma,
+  resetPrisma,
+  PrismaClient
+};
@@ -0,0 +1,46 @@
+// The users prisma/seed.js creates, with the fields the API reads back
+const users = [
+  {
+    id: 'seed-john',
+    username: 'john_doe',
+    email: 'john@example.com',
+    avatar: 'https://api.dicebear.com/7.x/avataaars/svg?seed=john',
+    role: 'USER',
+    isInfluencer: true,
+    tokenBalance: 1000,
+    totalEarnings: 5000
+  },
+  {
+    id: 'seed-jane',
+    username: 'jane_smith',
+    email: 'jane@example.com',
+    avatar: 'https://api.dicebear.com/7.x/avataaars/svg?seed=jane',
+    role: 'USER',
+    isInfluencer: true,
+    tokenBalance: 800,
+    totalEarnings: 3000
+  },
+  {
+    id: 'seed-mike',
+    username: 'mike_wilson',
+    email: 'mike@example.com',
+    avatar: 'https://api.dicebear.com/7.x/avataaars/svg?seed=mike',
+    role: 'USER',
+    isInfluencer: false,
+    tokenBalance: 500,
+    totalEarnings: 1000
+  }
+];
+
+// Answers prisma.user.findFirst the way the dev-auth lookup queries it
+const findSeededUser = ({ where }) => {
+  const match = users.find(user => where.OR.some(condition =>
+    Object.entries(condition).every(([field, value]) => user[field] === value)
+  ));
+  return Promise.resolve(match ? { ...match } : null);
+};
+
+module.exports = {
+  users,
+  findSeededUser
+};
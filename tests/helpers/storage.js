@@ -0,0 +1,14 @@
+// Stands in for src/configs/storage so suites never reach MinIO or S3
+module.exports = {
+  isS3: false,
+  bucketName: 'test-bucket',
+  uploadFile: jest.fn(),
+  getFile: jest.fn(),
+  downloadFile: jest.fn(),
+  statFile: jest.fn(),
+  getPresignedUploadUrl: jest.fn(),
+  getPresignedDownloadUrl: jest.fn(),
+  deleteFile: jest.fn(),
+  deletePrefix: jest.fn(),
+  ensureBucketExists: jest.fn()
+};
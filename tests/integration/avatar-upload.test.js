@@ -0,0 +1,37 @@
+process.env.DEV_AUTH = 'true';
+
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+jest.mock('../../src/configs/storage', () => require('../helpers/storage'));
+jest.mock('../../src/utils/logger');
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prisma');
+const { findSeededUser } = require('../helpers/seed');
+const profileService = require('../../src/services/profileService');
+const { app } = require('../../src/app');
+
+describe('PUT /api/users/me/avatar', () => {
+  beforeEach(() => {
+    resetPrisma();
+    prisma.user.findFirst.mockImplementation(findSeededUser);
+    prisma.user.findUnique.mockResolvedValue({ id: 'seed-john', avatarKey: null });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers an image that cannot be decoded with 400', async () => {
+    jest.spyOn(profileService, 'resizeAvatar')
+      .mockRejectedValue(new Error('Failed to resize avatar: Invalid data found when processing input'));
+
+    const res = await request(app)
+      .put('/api/users/me/avatar')
+      .set('x-dev-user', 'john_doe')
+      .attach('avatar', Buffer.from('not an image'), { filename: 'avatar.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ status: 'error', error: 'Invalid image' });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+process.env.DEV_AUTH = 'true';
+
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+jest.mock('../../src/configs/storage', () => require('../helpers/storage'));
+jest.mock('../../src/utils/logger');
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prisma');
+const { users, findSeededUser } = require('../helpers/seed');
+const { app } = require('../../src/app');
+
+const [john, jane] = users;
+
+describe('dev-auth', () => {
+  beforeEach(() => {
+    resetPrisma();
+    prisma.user.findFirst.mockImplementation(findSeededUser);
+  });
+
+  it('impersonates a seeded user by username', async () => {
+    prisma.user.findUnique.mockImplementation(({ where }) =>
+      Promise.resolve({ ...users.find(user => user.id === where.id), _count: { videos: 2 } })
+    );
+
+    const res = await request(app)
+      .get('/api/auth/profile')
+      .set('x-dev-user', 'john_doe');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: john.id, username: 'john_doe' });
+    expect(prisma.user.findUnique).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: john.id } })
+    );
+  });
+
+  it('impersonates a seeded user by id', async () => {
+    prisma.session.findMany.mockResolvedValue([]);
+
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set('x-dev-user', jane.id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sessions).toEqual([]);
+    expect(prisma.session.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: expect.objectContaining({ userId: jane.id }) })
+    );
+  });
+
+  it('applies the impersonated user\'s role', async () => {
+    prisma.duplicateMatch.findMany.mockResolvedValue([]);
+
+    const forbidden = await request(app)
+      .get('/api/admin/duplicates')
+      .set('x-dev-user', 'john_doe');
+    expect(forbidden.status).toBe(403);
+
+    prisma.user.findFirst.mockResolvedValueOnce({ ...john, role: 'MODERATOR' });
+    const allowed = await request(app)
+      .get('/api/admin/duplicates')
+      .set('x-dev-user', 'john_doe');
+    expect(allowed.status).toBe(200);
+  });
+
+  it('rejects a user that was not seeded', async () => {
+    const res = await request(app)
+      .get('/api/auth/profile')
+      .set('x-dev-user', 'nobody');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Dev-auth user not found');
+  });
+
+  it('still requires a token without the header', async () => {
+    const res = await request(app).get('/api/auth/profile');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Access token required');
+  });
+
+  it('ignores the header when DEV_AUTH is off', async () => {
+    let disabledApp;
+    jest.isolateModules(() => {
+      process.env.DEV_AUTH = 'false';
+      disabledApp = require('../../src/app').app;
+    });
+    process.env.DEV_AUTH = 'true';
+
+    const res = await request(disabledApp)
+      .get('/api/auth/profile')
+      .set('x-dev-user', 'john_doe');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Access token required');
+  });
+});
@@ -0,0 +1,23 @@
+process.env.SIWE_NONCE_RATE_LIMIT = '2';
+
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+jest.mock('../../src/configs/storage', () => require('../helpers/storage'));
+jest.mock('../../src/utils/logger');
+
+const request = require('supertest');
+const { prisma } = require('../helpers/prisma');
+const { app } = require('../../src/app');
+
+describe('GET /api/auth/wallet/nonce', () => {
+  it('rate-limits nonce requests per IP', async () => {
+    prisma.siweNonce.create.mockResolvedValue({});
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await request(app).get('/api/auth/wallet/nonce')).status);
+    }
+
+    expect(statuses).toEqual([200, 200, 429]);
+    expect(prisma.siweNonce.create).toHaveBeenCalledTimes(2);
+  });
+});
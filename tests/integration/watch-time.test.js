@@ -0,0 +1,54 @@
+process.env.DEV_AUTH = 'true';
+
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+jest.mock('../../src/configs/storage', () => require('../helpers/storage'));
+jest.mock('../../src/utils/logger');
+
+const request = require('supertest');
+const { prisma, resetPrisma } = require('../helpers/prisma');
+const { findSeededUser } = require('../helpers/seed');
+const tokenService = require('../../src/services/tokenService');
+const { app } = require('../../src/app');
+
+describe('POST /api/content/:videoId/watch-time', () => {
+  beforeEach(() => {
+    resetPrisma();
+    prisma.user.findFirst.mockImplementation(findSeededUser);
+    prisma.video.findUnique.mockResolvedValue({
+      id: 'video-1',
+      userId: 'seed-jane',
+      duration: 30,
+      visibility: 'PUBLIC',
+      publishStatus: 'PUBLISHED'
+    });
+    prisma.watchEvent.upsert.mockResolvedValue({});
+    jest.spyOn(tokenService, 'rewardWatchTime').mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const watch = (seconds) => request(app)
+    .post('/api/content/video-1/watch-time')
+    .set('x-dev-user', 'john_doe')
+    .send({ seconds });
+
+  it.each(['abc', null, -1])('rejects %p as watch time', async (seconds) => {
+    const res = await watch(seconds);
+
+    expect(res.status).toBe(400);
+    expect(prisma.watchEvent.upsert).not.toHaveBeenCalled();
+  });
+
+  it('counts watch time up to the video duration', async () => {
+    const res = await watch(1e12);
+
+    expect(res.status).toBe(200);
+    expect(tokenService.rewardWatchTime).toHaveBeenCalledWith('seed-john', 30, 'video-1');
+  });
+
+  it('accepts zero seconds', async () => {
+    expect((await watch(0)).status).toBe(200);
+  });
+});
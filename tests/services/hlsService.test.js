@@ -0,0 +1,27 @@
+jest.mock('../../src/utils/logger');
+
+const hlsService = require('../../src/services/hlsService');
+const config = require('../../src/configs/hls-config');
+
+describe('hlsService.buildMasterPlaylist', () => {
+  const portrait = { width: 1080, height: 1920 };
+
+  it('sizes portrait renditions along the short side', () => {
+    const master = hlsService.buildMasterPlaylist(hlsService.getLadder(portrait), { ...portrait, hasAudio: true });
+
+    expect(master).toContain('RESOLUTION=720x1280');
+    expect(master).toContain('RESOLUTION=240x426');
+  });
+
+  it('declares AAC only for sources with audio', () => {
+    const [rung] = config.ladder;
+
+    const withAudio = hlsService.buildMasterPlaylist([rung], { ...portrait, hasAudio: true });
+    expect(withAudio).toContain(`BANDWIDTH=${(rung.videoBitrate + rung.audioBitrate) * 1000},`);
+    expect(withAudio).toContain('CODECS="avc1.4d401f,mp4a.40.2"');
+
+    const silent = hlsService.buildMasterPlaylist([rung], { ...portrait, hasAudio: false });
+    expect(silent).toContain(`BANDWIDTH=${rung.videoBitrate * 1000},`);
+    expect(silent).toContain('CODECS="avc1.4d401f"');
+  });
+});
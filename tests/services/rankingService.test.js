@@ -0,0 +1,198 @@
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+jest.mock('../../src/configs/storage', () => require('../helpers/storage'));
+jest.mock('../../src/utils/logger');
+
+const { prisma, resetPrisma } = require('../helpers/prisma');
+const config = require('../../src/configs/ranking-config');
+const rankingService = require('../../src/services/rankingService');
+const videoService = require('../../src/services/videoService');
+const followService = require('../../src/services/followService');
+const impressionService = require('../../src/services/impressionService');
+const visibilityService = require('../../src/services/visibilityService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+const hoursAgo = (hours, now = NOW) => new Date(now.getTime() - hours * HOUR_MS);
+
+const creator = (id) => ({ id, username: id, avatar: null });
+
+const fixture = ({ id, userId, ageHours, tags = [], likes = 0, comments = 0 }) => ({
+  id,
+  userId,
+  title: id,
+  url: `http://localhost:9000/videos/${id}.mp4`,
+  status: 'READY',
+  visibility: 'PUBLIC',
+  publishStatus: 'PUBLISHED',
+  createdAt: hoursAgo(ageHours + 1),
+  publishedAt: hoursAgo(ageHours),
+  tags,
+  user: creator(userId),
+  _count: { likes, comments }
+});
+
+// Viewer follows alice, liked a skate video by dave and half-watched one by
+// bob tagged cooking and skate: skate 1, cooking 1/3, dave 1, bob 0.5
+const candidates = [
+  fixture({ id: 'v-fresh', userId: 'bob', ageHours: 0, tags: ['cooking'] }),
+  fixture({ id: 'v-old', userId: 'bob', ageHours: 48, tags: ['cooking'] }),
+  fixture({ id: 'v-followed', userId: 'alice', ageHours: 48 }),
+  fixture({ id: 'v-tagged', userId: 'carol', ageHours: 48, tags: ['Skate'] }),
+  fixture({ id: 'v-popular', userId: 'carol', ageHours: 48, likes: 20, comments: 5 })
+];
+
+describe('rankingService', () => {
+  let seenIds;
+
+  beforeEach(() => {
+    resetPrisma();
+    seenIds = [];
+
+    prisma.like.findMany.mockResolvedValue([
+      { video: { userId: 'dave', tags: ['skate'] } }
+    ]);
+    prisma.watchEvent.findMany.mockImplementation(async ({ select }) => select.videoId
+      ? []
+      : [{ completion: 0.5, video: { userId: 'bob', tags: ['cooking', 'skate'] } }]
+    );
+    // 5 watches averaging 0.9 against a prior of 0.3 weighted 5: 0.6
+    prisma.watchEvent.groupBy.mockResolvedValue([
+      { videoId: 'v-fresh', _avg: { completion: 0.9 }, _count: { _all: 5 } }
+    ]);
+    prisma.video.findMany.mockImplementation(async ({ where }) =>
+      candidates.filter(video => !where.id.notIn.includes(video.id))
+    );
+
+    jest.spyOn(followService, 'getFollowingIds').mockResolvedValue(['alice']);
+    jest.spyOn(impressionService, 'getSeenVideoIds').mockImplementation(async () => seenIds);
+    jest.spyOn(visibilityService, 'getListingFilter').mockResolvedValue({ visibility: 'PUBLIC' });
+    jest.spyOn(videoService, 'withPlayback').mockImplementation(async videos => videos);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scoreVideo', () => {
+    const profile = {
+      tags: new Map([['skate', 1], ['cooking', 1 / 3]]),
+      creators: new Map([['bob', 0.5]]),
+      followedCreators: new Set(['alice'])
+    };
+    const video = (overrides) => videoService.transformVideo(fixture(overrides));
+
+    it('weights each signal and sums the contributions', () => {
+      const { score, components } = rankingService.scoreVideo(
+        video({ id: 'v', userId: 'bob', ageHours: 48, tags: ['Cooking'], likes: 20, comments: 5 }),
+        0.6,
+        profile,
+        NOW
+      );
+
+      expect(components.completion).toEqual({ value: 0.6, weight: 3, contribution: expect.closeTo(1.8) });
+      expect(components.likes).toEqual({ value: 0.5, weight: 1.5, contribution: 0.75 });
+      expect(components.comments).toEqual({ value: 0.5, weight: 1, contribution: 0.5 });
+      expect(components.tagAffinity.value).toBeCloseTo(1 / 3);
+      expect(components.creatorAffinity).toEqual({ value: 0.5, weight: 2, contribution: 1 });
+      expect(components.freshness).toEqual({ value: 0.5, weight: 2.5, contribution: 1.25 });
+      expect(score).toBeCloseTo(1.8 + 0.75 + 0.5 + 2 / 3 + 1 + 1.25);
+    });
+
+    it('halves freshness every half-life', () => {
+      const freshness = (ageHours) => rankingService.scoreVideo(
+        video({ id: 'v', userId: 'carol', ageHours }), 0, profile, NOW
+      ).components.freshness.value;
+
+      expect(config.freshnessHalfLifeHours).toBe(48);
+      expect(freshness(0)).toBe(1);
+      expect(freshness(24)).toBeCloseTo(Math.SQRT1_2);
+      expect(freshness(48)).toBe(0.5);
+      expect(freshness(96)).toBe(0.25);
+      expect(freshness(-5)).toBe(1);
+    });
+
+    it('gives followed creators full creator affinity', () => {
+      const { components } = rankingService.scoreVideo(
+        video({ id: 'v', userId: 'alice', ageHours: 0 }), 0, profile, NOW
+      );
+
+      expect(components.creatorAffinity.value).toBe(1);
+    });
+  });
+
+  describe('getForYouFeed', () => {
+    it('ranks candidates by score, breaking ties by recency then id', async () => {
+      const { videos, hasMore, nextCursor } = await rankingService.getForYouFeed('viewer', null, 10, { now: NOW });
+
+      expect(videos.map(video => video.id)).toEqual(['v-fresh', 'v-followed', 'v-tagged', 'v-old', 'v-popular']);
+      expect(videos[0].ranking).toBeUndefined();
+      expect(hasMore).toBe(false);
+      expect(nextCursor).toBeNull();
+    });
+
+    it('builds the viewer profile and candidates from the injected clock', async () => {
+      await rankingService.getForYouFeed('viewer', null, 10, { now: NOW });
+
+      expect(prisma.like.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId: 'viewer', createdAt: { gte: new Date(NOW.getTime() - config.affinityWindowDays * 24 * HOUR_MS) } }
+      }));
+      expect(impressionService.getSeenVideoIds).toHaveBeenCalledWith('viewer', NOW);
+      expect(prisma.video.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ userId: { not: 'viewer' } })
+      }));
+    });
+
+    it('explains each score in debug mode', async () => {
+      const { videos } = await rankingService.getForYouFeed('viewer', null, 10, { debug: true, now: NOW });
+      const byId = Object.fromEntries(videos.map(video => [video.id, video.ranking]));
+
+      expect(byId['v-fresh'].components).toMatchObject({
+        completion: { value: expect.closeTo(0.6), weight: 3 },
+        tagAffinity: { value: expect.closeTo(1 / 3), weight: 2 },
+        creatorAffinity: { value: 0.5, weight: 2 },
+        freshness: { value: 1, weight: 2.5 }
+      });
+      expect(byId['v-fresh'].score).toBeCloseTo(1.8 + 2 / 3 + 1 + 2.5);
+      expect(byId['v-followed'].components.creatorAffinity.value).toBe(1);
+      expect(byId['v-tagged'].components.tagAffinity.value).toBe(1);
+      expect(byId['v-popular'].components.likes.value).toBe(0.5);
+      expect(byId['v-old'].components.completion.value).toBe(config.completionPrior);
+    });
+
+    it('follows the configured weights', async () => {
+      const weights = { ...config.weights };
+      Object.assign(config.weights, { likes: 20, freshness: 0 });
+
+      try {
+        const { videos } = await rankingService.getForYouFeed('viewer', null, 10, { now: NOW });
+        expect(videos[0].id).toBe('v-popular');
+      } finally {
+        Object.assign(config.weights, weights);
+      }
+    });
+
+    it('pages past served videos even as they leave the candidate pool', async () => {
+      const first = await rankingService.getForYouFeed('viewer', null, 2, { now: NOW });
+      expect(first.videos.map(video => video.id)).toEqual(['v-fresh', 'v-followed']);
+      expect(first.hasMore).toBe(true);
+
+      // Served videos count as impressions, and the cursor keeps the first
+      // page's clock even if the next request comes hours later
+      seenIds = ['v-fresh', 'v-followed'];
+      const second = await rankingService.getForYouFeed('viewer', first.nextCursor, 2, { now: hoursAgo(-6) });
+      expect(second.videos.map(video => video.id)).toEqual(['v-tagged', 'v-old']);
+      expect(impressionService.getSeenVideoIds).toHaveBeenLastCalledWith('viewer', NOW);
+
+      seenIds.push('v-tagged', 'v-old');
+      const third = await rankingService.getForYouFeed('viewer', second.nextCursor, 2, { now: NOW });
+      expect(third.videos.map(video => video.id)).toEqual(['v-popular']);
+      expect(third.hasMore).toBe(false);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    it('rejects a malformed cursor', async () => {
+      await expect(rankingService.getForYouFeed('viewer', 'not-a-cursor', 10, { now: NOW }))
+        .rejects.toThrow('Invalid cursor');
+    });
+  });
+});
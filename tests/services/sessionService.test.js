@@ -0,0 +1,78 @@
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+jest.mock('../../src/utils/logger');
+
+const { prisma, resetPrisma } = require('../helpers/prisma');
+const sessionService = require('../../src/services/sessionService');
+
+const user = { id: 'user-1', username: 'john_doe' };
+
+// Keeps sessions in memory, answering the queries sessionService makes
+const useStore = () => {
+  const sessions = new Map();
+
+  prisma.session.create.mockImplementation(async ({ data }) => {
+    const session = { id: `session-${sessions.size + 1}`, generation: 0, rotatedRefreshTokenHashes: [], revokedAt: null, ...data };
+    sessions.set(session.id, session);
+    return session;
+  });
+  prisma.session.findUnique.mockImplementation(async ({ where }) => {
+    const session = sessions.get(where.id);
+    return session ? { ...session, rotatedRefreshTokenHashes: [...session.rotatedRefreshTokenHashes], user } : null;
+  });
+  prisma.session.updateMany.mockImplementation(async ({ where, data }) => {
+    const session = sessions.get(where.id);
+    const matches = session &&
+      Object.entries(where).every(([field, value]) => session[field] === value);
+    if (!matches) {
+      return { count: 0 };
+    }
+    for (const [field, value] of Object.entries(data)) {
+      if (value && value.push) {
+        session[field] = [...session[field], value.push];
+      } else if (value && value.increment) {
+        session[field] += value.increment;
+      } else {
+        session[field] = value;
+      }
+    }
+    return { count: 1 };
+  });
+
+  return sessions;
+};
+
+describe('sessionService.refresh', () => {
+  let sessions;
+
+  beforeEach(() => {
+    resetPrisma();
+    sessions = useStore();
+  });
+
+  it('rotates the refresh token', async () => {
+    const { refreshToken, session } = await sessionService.createSession(user);
+
+    const rotated = await sessionService.refresh(refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(sessions.get(session.id).generation).toBe(1);
+    await expect(sessionService.refresh(rotated.refreshToken)).resolves.toHaveProperty('token');
+  });
+
+  it('revokes the session when a token from any earlier rotation is replayed', async () => {
+    const { refreshToken: stolen, session } = await sessionService.createSession(user);
+    const second = await sessionService.refresh(stolen);
+    const third = await sessionService.refresh(second.refreshToken);
+
+    await expect(sessionService.refresh(stolen)).rejects.toThrow('Invalid refresh token');
+    expect(sessions.get(session.id).revokedReason).toBe('REUSE_DETECTED');
+    await expect(sessionService.refresh(third.refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('only rejects a secret the session never issued', async () => {
+    const { session } = await sessionService.createSession(user);
+
+    await expect(sessionService.refresh(`${session.id}.forged`)).rejects.toThrow('Invalid refresh token');
+    expect(sessions.get(session.id).revokedAt).toBeNull();
+  });
+});
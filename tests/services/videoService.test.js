@@ -0,0 +1,134 @@
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+jest.mock('../../src/configs/storage', () => require('../helpers/storage'));
+jest.mock('../../src/utils/logger');
+
+const { prisma, resetPrisma } = require('../helpers/prisma');
+const storageClient = require('../helpers/storage');
+const videoService = require('../../src/services/videoService');
+
+describe('videoService', () => {
+  beforeEach(() => {
+    resetPrisma();
+    jest.clearAllMocks();
+  });
+
+  describe('deleteVideo', () => {
+    it('deletes every stored file before the row', async () => {
+      prisma.video.findUnique.mockResolvedValue({
+        id: 'video-1',
+        url: 'user-1-1700000000000/normalized-clip.mp4',
+        sourceKey: null,
+        thumbnailUrl: 'user-1-1700000000000/thumbnails/cover-1-thumbnail.jpg',
+        posterUrl: 'user-1-1700000000000/thumbnails/cover-1-poster.jpg',
+        thumbnailCandidates: ['user-1-1700000000000/thumbnails/candidate-0.jpg'],
+        audioKey: 'user-1-1700000000000/audio/audio.m4a',
+        previewKey: 'user-1-1700000000000/thumbnails/preview.mp4',
+        hlsKey: 'user-1-1700000000000/hls',
+        storyboardKey: 'user-1-1700000000000/thumbnails/storyboard',
+        captions: [{ key: 'user-1-1700000000000/captions/en-1700000000001.vtt' }]
+      });
+      prisma.video.delete.mockImplementation(async () => {
+        expect(storageClient.deletePrefix).toHaveBeenCalledTimes(2);
+      });
+
+      await videoService.deleteVideo('video-1');
+
+      const deleted = storageClient.deleteFile.mock.calls.map(([, key]) => key);
+      expect(deleted).toEqual([
+        'user-1-1700000000000/normalized-clip.mp4',
+        'user-1-1700000000000/thumbnails/cover-1-thumbnail.jpg',
+        'user-1-1700000000000/thumbnails/cover-1-poster.jpg',
+        'user-1-1700000000000/thumbnails/candidate-0.jpg',
+        'user-1-1700000000000/audio/audio.m4a',
+        'user-1-1700000000000/thumbnails/preview.mp4',
+        'user-1-1700000000000/captions/en-1700000000001.vtt'
+      ]);
+      expect(storageClient.deletePrefix.mock.calls.map(([, prefix]) => prefix)).toEqual([
+        'user-1-1700000000000/hls/',
+        'user-1-1700000000000/thumbnails/storyboard/'
+      ]);
+      expect(prisma.video.delete).toHaveBeenCalledWith({ where: { id: 'video-1' } });
+    });
+
+    it('keeps the row when storage fails', async () => {
+      prisma.video.findUnique.mockResolvedValue({ id: 'video-1', url: 'a/clip.mp4', thumbnailCandidates: [], captions: [] });
+      storageClient.deleteFile.mockRejectedValueOnce(new Error('unavailable'));
+
+      await expect(videoService.deleteVideo('video-1')).rejects.toThrow('unavailable');
+      expect(prisma.video.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordWatch', () => {
+    const video = { id: 'video-1', userId: 'owner', duration: 30 };
+
+    it('caps reported seconds at the duration', () => {
+      expect(videoService.getWatchedSeconds(video, 12.4)).toBe(12);
+      expect(videoService.getWatchedSeconds(video, 1e12)).toBe(30);
+      expect(videoService.getWatchedSeconds(video, -3)).toBe(0);
+      expect(videoService.getWatchedSeconds(video, NaN)).toBe(0);
+    });
+
+    it('keeps one event per viewer and video with the furthest watch', async () => {
+      prisma.watchEvent.upsert.mockResolvedValue({});
+
+      await videoService.recordWatch('viewer', video, 1e12);
+
+      expect(prisma.watchEvent.updateMany).toHaveBeenCalledWith({
+        where: { userId: 'viewer', videoId: 'video-1', seconds: { lt: 30 } },
+        data: { seconds: 30, completion: 1 }
+      });
+      expect(prisma.watchEvent.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { userId_videoId: { userId: 'viewer', videoId: 'video-1' } },
+        create: { userId: 'viewer', videoId: 'video-1', seconds: 30, completion: 1 }
+      }));
+    });
+
+    it('skips the owner\'s own watches', async () => {
+      await expect(videoService.recordWatch('owner', video, 10)).resolves.toBeNull();
+      expect(prisma.watchEvent.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getVideoMetadata', () => {
+    const stored = (visibility) => ({
+      id: 'video-1',
+      userId: 'owner',
+      visibility,
+      publishStatus: 'PUBLISHED',
+      moderationLockedAt: null,
+      tags: [],
+      captions: [],
+      _count: { likes: 0, comments: 0 }
+    });
+
+    it('hides private and followers-only videos without a viewer', async () => {
+      for (const visibility of ['PRIVATE', 'FOLLOWERS']) {
+        prisma.video.findUnique.mockResolvedValueOnce(stored(visibility));
+        await expect(videoService.getVideoMetadata('video-1')).rejects.toThrow('Video not found');
+      }
+    });
+
+    it('shows public and unlisted videos without a viewer', async () => {
+      for (const visibility of ['PUBLIC', 'UNLISTED']) {
+        prisma.video.findUnique.mockResolvedValueOnce(stored(visibility));
+        await expect(videoService.getVideoMetadata('video-1')).resolves.toMatchObject({ id: 'video-1', visibility });
+      }
+    });
+  });
+
+  describe('updateMetadata', () => {
+    it('refuses to change the visibility of a moderation-locked video', async () => {
+      prisma.video.findUnique.mockResolvedValue({
+        id: 'video-1',
+        userId: 'owner',
+        visibility: 'PRIVATE',
+        moderationLockedAt: new Date()
+      });
+
+      await expect(videoService.updateMetadata('video-1', 'owner', { visibility: 'PUBLIC' }))
+        .rejects.toThrow('Not authorized to change the visibility of a video locked by moderation');
+      expect(prisma.video.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+
+const { resetPrisma } = require('../helpers/prisma');
+const visibilityService = require('../../src/services/visibilityService');
+const followService = require('../../src/services/followService');
+
+const video = (overrides) => ({
+  id: 'video-1',
+  userId: 'owner',
+  visibility: 'PUBLIC',
+  publishStatus: 'PUBLISHED',
+  moderationLockedAt: null,
+  ...overrides
+});
+
+describe('visibilityService', () => {
+  beforeEach(() => {
+    resetPrisma();
+    jest.spyOn(followService, 'isFollowing').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('hides moderation-locked videos from everyone but the owner', async () => {
+    const locked = video({ visibility: 'PRIVATE', moderationLockedAt: new Date() });
+
+    expect(await visibilityService.canView(locked, 'owner')).toBe(true);
+    expect(await visibilityService.canView(locked, 'viewer')).toBe(false);
+    expect(await visibilityService.canView({ ...locked, visibility: 'PUBLIC' }, 'viewer')).toBe(false);
+  });
+
+  it('shows anonymous callers only published public and unlisted videos', async () => {
+    expect(await visibilityService.canView(video({ visibility: 'PUBLIC' }))).toBe(true);
+    expect(await visibilityService.canView(video({ visibility: 'UNLISTED' }))).toBe(true);
+    expect(await visibilityService.canView(video({ visibility: 'FOLLOWERS' }))).toBe(false);
+    expect(await visibilityService.canView(video({ visibility: 'PRIVATE' }))).toBe(false);
+    expect(await visibilityService.canView(video({ publishStatus: 'DRAFT' }))).toBe(false);
+  });
+
+  it('leaves moderation-locked videos out of listings', async () => {
+    jest.spyOn(followService, 'getFollowingIds').mockResolvedValue([]);
+
+    expect(await visibilityService.getListingFilter()).toMatchObject({ moderationLockedAt: null });
+    expect(await visibilityService.getListingFilter('viewer')).toMatchObject({ moderationLockedAt: null });
+  });
+});
@@ -0,0 +1,252 @@
+jest.mock('@prisma/client', () => require('../helpers/prisma'));
+jest.mock('../../src/utils/logger');
+
+const { ethers } = require('ethers');
+const { prisma, resetPrisma } = require('../helpers/prisma');
+const config = require('../../src/configs/auth-config');
+const { buildSiweMessage } = require('../../src/utils/siwe');
+const walletService = require('../../src/services/walletService');
+
+// Keeps nonces and wallets in memory, answering the queries walletService makes
+const useStore = () => {
+  const nonces = new Map();
+  const wallets = new Map();
+
+  prisma.siweNonce.create.mockImplementation(async ({ data }) => {
+    nonces.set(data.nonce, { ...data, usedAt: null });
+    return nonces.get(data.nonce);
+  });
+  prisma.siweNonce.updateMany.mockImplementation(async ({ where, data }) => {
+    const nonce = nonces.get(where.nonce);
+    if (!nonce || nonce.usedAt !== where.usedAt || nonce.expiresAt <= where.expiresAt.gt) {
+      return { count: 0 };
+    }
+    Object.assign(nonce, data);
+    return { count: 1 };
+  });
+  prisma.siweNonce.deleteMany.mockImplementation(async ({ where }) => {
+    const [used, expired] = where.OR;
+    let count = 0;
+    for (const [key, nonce] of nonces) {
+      if ((used.usedAt.not === null && nonce.usedAt !== null) || nonce.expiresAt <= expired.expiresAt.lte) {
+        nonces.delete(key);
+        count++;
+      }
+    }
+    return { count };
+  });
+
+  prisma.wallet.findUnique.mockImplementation(async ({ where }) => wallets.get(where.address) || null);
+  prisma.wallet.upsert.mockImplementation(async ({ where, update, create }) => {
+    const wallet = wallets.has(where.address)
+      ? Object.assign(wallets.get(where.address), update)
+      : { id: `wallet-${wallets.size + 1}`, createdAt: new Date(), ...create };
+    wallets.set(where.address, wallet);
+    return wallet;
+  });
+  prisma.wallet.findMany.mockImplementation(async ({ where }) =>
+    [...wallets.values()].filter(wallet => wallet.userId === where.userId)
+  );
+  prisma.wallet.deleteMany.mockImplementation(async ({ where }) => {
+    const wallet = wallets.get(where.address);
+    if (!wallet || wallet.userId !== where.userId) {
+      return { count: 0 };
+    }
+    wallets.delete(where.address);
+    return { count: 1 };
+  });
+
+  return { nonces, wallets };
+};
+
+const signIn = async (wallet, overrides = {}) => {
+  const { nonce } = await walletService.issueNonce();
+  const message = buildSiweMessage({
+    domain: config.siweDomain,
+    address: wallet.address,
+    statement: 'Sign in to WorldSocial',
+    uri: config.siweUri,
+    chainId: config.siweChainIds[0],
+    nonce,
+    ...overrides
+  });
+  return { nonce, message, signature: await wallet.signMessage(message) };
+};
+
+describe('walletService', () => {
+  let store;
+  let wallet;
+
+  beforeEach(() => {
+    resetPrisma();
+    store = useStore();
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  describe('nonces', () => {
+    it('issues a nonce with the message parameters', async () => {
+      const issued = await walletService.issueNonce();
+
+      expect(issued.nonce).toMatch(/^[0-9a-f]{32}$/);
+      expect(issued.expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(issued).toMatchObject({
+        domain: config.siweDomain,
+        uri: config.siweUri,
+        chainIds: config.siweChainIds
+      });
+      expect(store.nonces.get(issued.nonce).usedAt).toBeNull();
+    });
+
+    it('consumes the nonce on a valid signature', async () => {
+      const { nonce, message, signature } = await signIn(wallet);
+
+      const siwe = await walletService.verifySignature(message, signature);
+
+      expect(siwe.address).toBe(wallet.address);
+      expect(store.nonces.get(nonce).usedAt).toBeInstanceOf(Date);
+    });
+
+    it('rejects a replayed nonce', async () => {
+      const { message, signature } = await signIn(wallet);
+      await walletService.verifySignature(message, signature);
+
+      await expect(walletService.verifySignature(message, signature))
+        .rejects.toThrow('Invalid SIWE message: unknown or expired nonce');
+    });
+
+    it('purges used and expired nonces only', async () => {
+      const used = await signIn(wallet);
+      await walletService.verifySignature(used.message, used.signature);
+      const pending = await walletService.issueNonce();
+      const expired = await walletService.issueNonce();
+      store.nonces.get(expired.nonce).expiresAt = new Date(Date.now() - 1000);
+
+      await expect(walletService.cleanupExpiredNonces()).resolves.toBe(2);
+      expect([...store.nonces.keys()]).toEqual([pending.nonce]);
+    });
+
+    it('rejects a nonce it never issued', async () => {
+      const message = buildSiweMessage({
+        domain: config.siweDomain,
+        address: wallet.address,
+        uri: config.siweUri,
+        chainId: config.siweChainIds[0],
+        nonce: 'f'.repeat(32)
+      });
+
+      await expect(walletService.verifySignature(message, await wallet.signMessage(message)))
+        .rejects.toThrow('Invalid SIWE message: unknown or expired nonce');
+    });
+  });
+
+  describe('verifySignature', () => {
+    it('rejects a signature from another wallet', async () => {
+      const { nonce, message } = await signIn(wallet);
+      const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+      await expect(walletService.verifySignature(message, signature))
+        .rejects.toThrow('Invalid wallet signature');
+      expect(store.nonces.get(nonce).usedAt).toBeNull();
+    });
+
+    it('rejects a malformed signature', async () => {
+      const { message } = await signIn(wallet);
+
+      await expect(walletService.verifySignature(message, '0x1234'))
+        .rejects.toThrow('Invalid wallet signature');
+    });
+
+    it('rejects another domain', async () => {
+      const { message, signature } = await signIn(wallet, { domain: 'evil.example' });
+
+      await expect(walletService.verifySignature(message, signature))
+        .rejects.toThrow('Invalid SIWE message: domain mismatch');
+    });
+
+    it('rejects another URI', async () => {
+      const { message, signature } = await signIn(wallet, { uri: 'https://evil.example' });
+
+      await expect(walletService.verifySignature(message, signature))
+        .rejects.toThrow('Invalid SIWE message: URI mismatch');
+    });
+
+    it('rejects an unsupported chain', async () => {
+      const { message, signature } = await signIn(wallet, { chainId: 56 });
+
+      await expect(walletService.verifySignature(message, signature))
+        .rejects.toThrow('Invalid SIWE message: unsupported chain');
+    });
+
+    it('rejects an expired message', async () => {
+      const { nonce, message, signature } = await signIn(wallet, {
+        expirationTime: new Date(Date.now() - 1000).toISOString()
+      });
+
+      await expect(walletService.verifySignature(message, signature))
+        .rejects.toThrow('Invalid SIWE message: expired');
+      expect(store.nonces.get(nonce).usedAt).toBeNull();
+    });
+
+    it('rejects a message that is not valid yet', async () => {
+      const { message, signature } = await signIn(wallet, {
+        notBefore: new Date(Date.now() + 60 * 1000).toISOString()
+      });
+
+      await expect(walletService.verifySignature(message, signature))
+        .rejects.toThrow('Invalid SIWE message: not yet valid');
+    });
+  });
+
+  describe('linking', () => {
+    it('links, lists and unlinks a wallet', async () => {
+      const { message, signature } = await signIn(wallet);
+
+      const linked = await walletService.linkWallet('user-1', message, signature);
+      expect(linked).toMatchObject({
+        userId: 'user-1',
+        address: wallet.address,
+        chainId: config.siweChainIds[0]
+      });
+      expect(await walletService.listWallets('user-1')).toHaveLength(1);
+
+      await walletService.unlinkWallet('user-1', wallet.address.toLowerCase());
+      expect(await walletService.listWallets('user-1')).toHaveLength(0);
+    });
+
+    it('refuses a wallet linked to another account', async () => {
+      const first = await signIn(wallet);
+      await walletService.linkWallet('user-1', first.message, first.signature);
+
+      const second = await signIn(wallet);
+      await expect(walletService.linkWallet('user-2', second.message, second.signature))
+        .rejects.toThrow('Wallet already linked to another account');
+    });
+
+    it('only unlinks the owner\'s wallets', async () => {
+      const { message, signature } = await signIn(wallet);
+      await walletService.linkWallet('user-1', message, signature);
+
+      await expect(walletService.unlinkWallet('user-2', wallet.address))
+        .rejects.toThrow('Wallet not found');
+      expect(store.wallets.has(wallet.address)).toBe(true);
+    });
+
+    it('logs in with a linked wallet', async () => {
+      const link = await signIn(wallet);
+      await walletService.linkWallet('user-1', link.message, link.signature);
+      store.wallets.get(wallet.address).user = { id: 'user-1' };
+      prisma.wallet.update.mockResolvedValue({});
+
+      const login = await signIn(wallet);
+      await expect(walletService.loginWithWallet(login.message, login.signature))
+        .resolves.toEqual({ id: 'user-1' });
+    });
+
+    it('refuses to log in with an unlinked wallet', async () => {
+      const { message, signature } = await signIn(wallet);
+
+      await expect(walletService.loginWithWallet(message, signature))
+        .rejects.toThrow('Wallet not linked to any account');
+    });
+  });
+});
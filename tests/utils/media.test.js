@@ -0,0 +1,23 @@
+const { getDisplayDimensions } = require('../../src/utils/media');
+
+describe('getDisplayDimensions', () => {
+  it('keeps unrotated streams as stored', () => {
+    expect(getDisplayDimensions({ width: 1920, height: 1080 })).toEqual({ width: 1920, height: 1080 });
+  });
+
+  it('swaps the sides of a stream with a rotate tag', () => {
+    expect(getDisplayDimensions({ width: 1920, height: 1080, tags: { rotate: '90' } }))
+      .toEqual({ width: 1080, height: 1920 });
+  });
+
+  it('swaps the sides of a stream with a display matrix', () => {
+    expect(getDisplayDimensions({ width: 1920, height: 1080, side_data_list: [{ rotation: -90 }] }))
+      .toEqual({ width: 1080, height: 1920 });
+    expect(getDisplayDimensions({ width: 1920, height: 1080, side_data_list: [{ rotation: 180 }] }))
+      .toEqual({ width: 1920, height: 1080 });
+  });
+
+  it('reports nothing for a missing video stream', () => {
+    expect(getDisplayDimensions(undefined)).toEqual({});
+  });
+});